@@ -0,0 +1,54 @@
+/**
+ * WordPress boot for the circular navigation module: one wheel per
+ * [circular_navigation] shortcode container, plus the Elementor tabs hook
+ * the theme relies on. Which tab gates the content comes from the
+ * shortcode's content_tab attribute.
+ */
+import { createCircularNavigation, getNavigationInstances } from 'circular-navigation';
+
+// Wheels inside an Elementor tab are laid out at zero size until it opens
+function watchElementorTabs() {
+    if (!window.jQuery) {
+        return;
+    }
+    window.jQuery(window).on('elementor/frontend/init', () => {
+        window.elementorFrontend.hooks.addAction('frontend/element_ready/tabs.default', $scope => {
+            $scope.find('.elementor-tab-title').on('click', function() {
+                const tabContent = document.getElementById(this.getAttribute('aria-controls'));
+
+                getNavigationInstances().forEach(navigation => {
+                    if (tabContent && tabContent.contains(navigation.container) && navigation.data) {
+                        setTimeout(() => navigation.initialize(navigation.data), 100);
+                    }
+                });
+            });
+        });
+    });
+}
+
+// Settings, including the admin-ajax URL and nonce, come from the container's data-* attributes
+function boot() {
+    document.querySelectorAll('.circular-navigation-container').forEach(container => {
+        const navigation = createCircularNavigation(container);
+        // Lets page scripts reach the instance, e.g. to call setData()
+        container.circularNavigation = navigation;
+        if (window.jQuery) {
+            window.jQuery(container).data('circularNavigation', navigation);
+        }
+        container.addEventListener('circular-navigation:destroy', () => {
+            delete container.circularNavigation;
+            if (window.jQuery) {
+                window.jQuery(container).removeData('circularNavigation');
+            }
+        }, { once: true });
+    });
+}
+
+// Elementor fires its init event only once, so listen before waiting for the DOM
+watchElementorTabs();
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', boot);
+} else {
+    boot();
+}
@@ -1,3 +1,21 @@
+/**
+ * Circular navigation wheel.
+ *
+ * An ES module whose only dependency is d3 v7:
+ *
+ *     import { createCircularNavigation } from './circular-navigation.js';
+ *     const navigation = createCircularNavigation(element, {
+ *         dataSource: { type: 'url', url: '/tree.json' },
+ *         // Optional: show each node's content in a panel
+ *         contentTarget: '#panel',
+ *         contentUrl: id => `/content/${id}.json`
+ *     });
+ *     navigation.destroy();
+ *
+ * WordPress pages are booted by circular-navigation-wp.js.
+ */
+import * as d3 from 'd3';
+
 const CONSTANTS = {
     // Existing constants
     MIN_WIDTH: 800,
@@ -40,7 +58,16 @@ const CONSTANTS = {
         MIN_SCALE: 0.5,
         MAX_SCALE: 3,
         STEP_INCREASE: 1.1,
-        STEP_DECREASE: 0.9
+        STEP_DECREASE: 0.9,
+        NODE_SCALE: 2  // Scale used when zooming to a selected outer node on mobile
+    },
+
+    ROTATION: {
+        READING_ANGLE: 0,      // Degrees clockwise from the top where outer nodes come to rest
+        FOCUS_ANGLE: 0,        // Where a selected branch is turned to when rotate-to-focus is on
+        FRICTION: 0.95,        // Velocity kept per frame while spinning freely
+        MIN_VELOCITY: 0.0005,  // Radians per millisecond below which inertia stops
+        SNAP_DURATION: 300
     },
 
     NODE_SIZES: {
@@ -69,6 +96,9 @@ const CONSTANTS = {
         SIDE_SPACING_BOOST: 30,
         MIN_SPACING: 0,
         LONG_TEXT_THRESHOLD: 11,  // Moved from nested location
+        LABEL_GAP: 2,             // Clearance kept between relaxed outer labels
+        MAX_NUDGE: 24,            // Furthest a label may slide along the ring
+        LEADER_THRESHOLD: 6,      // Displacement beyond which a leader line is drawn
         FONT_SIZES: {
             SMALL: 12,
             NORMAL: 12
@@ -77,7 +107,27 @@ const CONSTANTS = {
 
     CACHE: {
         MAX_SIZE: 50,
-        PRELOAD_DELAY: 1000
+        MAX_BYTES: 5 * 1024 * 1024,  // Approximate memory budget for processed HTML
+        PRELOAD_DELAY: 1000,
+        PERSIST_MAX_AGE: 7 * 24 * 60 * 60 * 1000,  // Stored content older than a week is dropped
+        PRELOAD_CONCURRENCY: 2,  // Preload requests allowed in flight at once
+        PRELOAD_IDLE_TIMEOUT: 2000  // Longest a queued preload waits for the browser to go idle
+    },
+
+    REQUEST: {
+        TIMEOUT: 10000,     // Milliseconds before a content request is given up
+        RETRIES: 2,         // Extra attempts after a transient failure
+        RETRY_DELAY: 500    // First retry delay in milliseconds, doubled each attempt
+    },
+
+    SECTORS: {
+        GAP: 6,          // Degrees left empty between neighbouring branches
+        MIN_ANGLE: 15    // Degrees a branch gets however few children it has
+    },
+
+    OUTER_RINGS: {
+        MAX_COUNT: 3,   // Most concentric rings the leaves are staggered over
+        SPACING: 36     // Minimum distance between outer rings
     },
 
     ANIMATION: {
@@ -627,276 +677,3071 @@ class ResponsiveConstants {
     // Close the class
 }
 
-// Create the main constants manager
-const responsiveConstants = new ResponsiveConstants(CONSTANTS);
+// Every wheel on the page, so page-level events (tab switches, Elementor
+// tab clicks) can be forwarded to each of them
+const navigationInstances = new Set();
 
-// Update your initialization function
-function initializeCircularNavigation(data) {
-    console.log('Initializing with data:', data);
-    
-    // Get container
-    const container = document.querySelector(".circular-navigation-container");
-    if (!container) {
-        console.error("Container not found");
-        return;
-    }
-    
-    // Store data globally for settings panel access
-    window.currentData = data;
-    
-    // Initialize managers
-    const resizeManager = new ResizeManager();
-    const transitionManager = new TransitionManager();
-    
-    // Get responsive constants based on current container size
-    const constants = responsiveConstants.calculate(
-        container.clientWidth,
-        container.clientHeight,
-        data  // Pass the data for content-aware calculations
-    );
-    
-    console.log('Calculated constants:', constants);
-    
-    // Calculate initial dimensions
-    const initialDimensions = {
-        width: constants.width,
-        height: constants.height,
-        radius: constants.radius,
-        textSizes: constants.TEXT_SIZES
-    };
-    
-    console.log('Initial dimensions:', initialDimensions);
-    
-    // Setup initial visualization
-    setupVisualization(data, initialDimensions, transitionManager);
-    
-    // Verify visualization was created
-    const svg = d3.select("#circular-nav-svg");
-    console.log('SVG created:', !svg.empty());
-    const rootNode = svg.select('.depth-0-node');
-    console.log('Root node created:', !rootNode.empty());
-
-    // Setup resize handling
-    resizeManager.init(container, (dimensions) => {
-        const updatedConstants = responsiveConstants.calculate(
-            dimensions.width,
-            dimensions.height,
-            data
-        );
-        updateVisualization(data, {
-            ...dimensions,
-            ...updatedConstants
-        }, transitionManager);
-    });
+/**
+ * Create a wheel in an element and start loading its hierarchy
+ * @param {HTMLElement} element - Container; an <svg> is added if it has none
+ * @param {Object} [options] - See the CircularNavigation constructor
+ * @returns {CircularNavigation} Call destroy() to remove it again
+ */
+export function createCircularNavigation(element, options = {}) {
+    const navigation = new CircularNavigation(element, options);
+    navigation.loadData();
+    return navigation;
+}
 
-    // Initialize settings panel
-    const settingsPanel = initializeSettingsPanel(constants);
-    
-    // Store cleanup function
-    window.cleanupCircularNavigation = () => {
-        resizeManager.destroy();
-        transitionManager.cancelAll();
-        settingsPanel.destroy();
-        cleanup();
-    };
+/**
+ * @returns {Array<CircularNavigation>} The wheels currently alive on the page
+ */
+export function getNavigationInstances() {
+    return [...navigationInstances];
+}
 
-    // If we're in the dilemma tab, load initial content
-    if (isDilemmaTabActive()) {
-        if (window.lastSelectedNodeId) {
-            fetchRelatedPostContent(window.lastSelectedNodeId);
-        } else {
-            loadRootNodeContent();
+/**
+ * Deep copy of the base constants so each wheel can be tuned through its own
+ * settings panel without affecting the others
+ * @param {Object} constants - The constants object to copy
+ * @returns {Object} An independent copy
+ */
+function cloneConstants(constants) {
+    return JSON.parse(JSON.stringify(constants));
+}
+
+/**
+ * A single circular navigation wheel bound to its own container element.
+ * Owns the data, selection, SVG, zoom, settings panel and content cache
+ * that used to live on window, so several wheels can share one page.
+ */
+export class CircularNavigation {
+    /**
+     * @param {HTMLElement} container - The .circular-navigation-container root element
+     * @param {Object} [options]
+     * @param {string} [options.postType] - Post type whose hierarchy is displayed
+     * @param {string|HTMLElement} [options.contentTarget] - Element, or its selector, that receives post content
+     * @param {string|Function} [options.contentUrl] - Where a post's content
+     *   JSON ({ content, version }) comes from: a function of the post id, or
+     *   the plugin's elementor-content REST route, which the id is appended
+     *   to. Without one no content is fetched.
+     * @param {Function} [options.contentVersionUrl] - Function of the post id
+     *   giving a URL that returns { version }, for checking stored copies.
+     *   Derived from a string contentUrl; otherwise stored copies are checked
+     *   by fetching the content again.
+     * @param {boolean} [options.loadContent] - false leaves content to page code
+     *   listening for select events; nothing is fetched or written
+     * @param {string} [options.contentTab] - Selector of a tab (aria-selected)
+     *   that has to be open for content to show; none means always visible
+     * @param {Function} [options.isContentVisible] - Replaces the contentTab
+     *   check; called with the instance, returns whether to show content
+     * @param {Function} [options.watchContentVisibility] - Called with
+     *   (instance, onChange); calls onChange when visibility may have changed
+     *   and returns a function that stops watching
+     * @param {boolean} [options.history] - Mirror the selection in the URL and browser history
+     * @param {string} [options.historyParam] - Query parameter carrying the selected post id
+     * @param {boolean} [options.search] - Show a search field next to the zoom controls
+     * @param {string|Object|Function} [options.dataSource] - Where the hierarchy comes
+     *   from: a DATA_SOURCES name, { type, ...settings }, or an async function
+     *   receiving the instance; see resolveDataSource()
+     * @param {string} [options.ajaxUrl] - admin-ajax.php URL for the 'ajax' data source
+     * @param {string} [options.nonce] - Nonce for the 'ajax' data source
+     * @param {string|Object|Function} [options.contentRenderer] - How content
+     *   responses become HTML: a CONTENT_RENDERERS name, { type, ...settings },
+     *   or a template function receiving the response JSON; see
+     *   resolveContentRenderer()
+     * @param {boolean|Function} [options.sanitize] - Clean rendered HTML with
+     *   sanitizeHTML() (default), skip cleaning with false, or a custom function
+     * @param {Function} [options.onBeforeSelect] - Event callbacks, called with
+     *   (detail, event) alongside the matching circular-navigation:* DOM event;
+     *   also onSelect, onHover, onBeforeContentLoad, onContentLoaded,
+     *   onContentUpdated, onContentError, onLayout, onResize and onDestroy. See emit().
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+
+        // Kept so destroy() can hand the container back the way it was found
+        this.originalStyle = container.getAttribute('style');
+        this.svgElement = container.querySelector('svg');
+        this.originalSvgAttributes = this.svgElement
+            ? Array.from(this.svgElement.attributes, ({ name, value }) => ({ name, value }))
+            : null;
+        if (!this.svgElement) {
+            this.svgElement = container.appendChild(document.createElementNS('http://www.w3.org/2000/svg', 'svg'));
         }
+
+        const postType = options.postType || container.dataset.postType;
+        this.options = {
+            postType,
+            contentTarget: container.dataset.contentTarget || '#t2-content-container',
+            contentUrl: container.dataset.contentUrl || null,
+            contentVersionUrl: null,
+            loadContent: container.dataset.loadContent !== 'false',
+            contentTab: container.dataset.contentTab || null,
+            isContentVisible: null,
+            watchContentVisibility: null,
+            history: container.dataset.history !== 'false',
+            // Keyed by post type so two wheels on one page do not overwrite each other
+            historyParam: container.dataset.historyParam || postType || 'node',
+            search: container.dataset.search === 'true',
+            rotatable: container.dataset.rotate !== 'false',
+            readingAngle: parseAngle(container.dataset.readingAngle, CONSTANTS.ROTATION.READING_ANGLE),
+            rotateToFocus: container.dataset.rotateToFocus === 'true',
+            focusAngle: parseAngle(container.dataset.focusAngle, CONSTANTS.ROTATION.FOCUS_ANGLE),
+            // 'arc', 'wedge' or 'none'
+            branchSectors: container.dataset.branchSectors || 'none',
+            sectorGap: parseAngle(container.dataset.sectorGap, CONSTANTS.SECTORS.GAP),
+            dataSource: container.dataset.source,
+            ajaxUrl: container.dataset.ajaxUrl,
+            nonce: container.dataset.nonce,
+            contentRenderer: container.dataset.contentRenderer,
+            sanitize: container.dataset.sanitize !== 'false',
+            ...options
+        };
+
+        this.constants = cloneConstants(CONSTANTS);
+        this.responsiveConstants = new ResponsiveConstants(this.constants);
+        this.resizeManager = new ResizeManager(this.constants);
+        this.transitionManager = new TransitionManager(this.constants);
+
+        this.data = null;
+        this.root = null;
+        this.focusId = null;
+        this.keyboardFocusId = null;
+        this.dimensions = null;
+        this.isDrilling = false;
+        this.rotation = 0;
+        this.rotationTimer = null;
+        this.rotationTarget = null;
+        this.labelSizes = new Map();
+        this.svg = null;
+        this.zoomContainer = null;
+        this.zoom = null;
+        this.elements = null;
+        this.settingsPanel = null;
+        this.liveRegion = null;
+        this.search = null;
+        this.searchMatches = null;
+        this.popstateHandler = null;
+        this.lastSelectedNodeId = null;
+
+        this.cacheStats = { hits: 0, misses: 0, evictions: 0 };
+        this.contentCache = new ContentCache(this.constants, () => this.cacheStats.evictions++);
+        this.persistentCache = new PersistentContentCache(this.constants, postId => this.getContentUrl(postId));
+        this.renderer = resolveContentRenderer(this.options.contentRenderer);
+        this.preloadQueue = new PreloadQueue(
+            postId => this.preloadPostContent(postId),
+            postId => !this.contentCache.has(postId),
+            this.constants
+        );
+        this.displayedPostId = null;
+        this.dataRequest = null;  // AbortController of the hierarchy request in loadData()
+        this.contentRequest = null;  // AbortController of the request feeding the content panel
+        this.pendingRequests = new Map();  // postId -> shared in-flight content request
+        this.failedPostId = null;  // Post whose error is on show, retried when back online
+        this.emittedSelectionId = null;  // Last selection fully handled and reported through a select event
+        this.onlineHandler = null;
+        this.stopWatchingVisibility = null;
+
+        navigationInstances.add(this);
     }
-}
 
+    /**
+     * Fetch the hierarchy from the configured data source, draw it, then
+     * start preloading content in the background
+     * @returns {Promise}
+     */
+    loadData() {
+        if (this.dataRequest) {
+            this.dataRequest.abort();
+        }
+        const controller = new AbortController();
+        this.dataRequest = controller;
 
+        return Promise.resolve()
+            .then(() => resolveDataSource(this.options.dataSource, this.container)(this, controller.signal))
+            .then(data => {
+                // Destroyed, superseded by setData() or loading again while the request was out
+                if (controller.signal.aborted || !navigationInstances.has(this)) {
+                    return;
+                }
+                if (!data) {
+                    throw new Error('Data source returned no hierarchy');
+                }
+                this.initialize(data);
 
+                setTimeout(() => {
+                    // Destroyed while waiting
+                    if (!navigationInstances.has(this)) {
+                        return;
+                    }
+                    this.preloadCacheContent(getPostIdsToPreload(data));
+                }, this.constants.CACHE.PRELOAD_DELAY);
+            })
+            .catch(error => {
+                if (!isAbortError(error)) {
+                    console.error('Error loading navigation data:', error);
+                }
+            })
+            .finally(() => {
+                if (this.dataRequest === controller) {
+                    this.dataRequest = null;
+                }
+            });
+    }
 
-// ResizeManager class to handle all resize-related logic
-class ResizeManager {
-    calculateOptimalDimensions(width, height) {
-        const constants = responsiveConstants.calculate(width, height);
-        return {
+    initialize(data) {
+        console.log('Initializing with data:', data);
+        this.data = data;
+
+        // Restore a selection shared through the URL
+        const linkedId = this.readLinkedNodeId();
+        if (linkedId !== null) {
+            this.focusId = getFocusIdForPath(findDataPath(data, linkedId));
+            this.lastSelectedNodeId = linkedId;
+        }
+
+        // Get responsive constants based on current container size
+        const constants = this.responsiveConstants.calculate(
+            this.container.clientWidth,
+            this.container.clientHeight,
+            this.getFocusData()  // Pass the data for content-aware calculations
+        );
+
+        console.log('Calculated constants:', constants);
+
+        // Calculate initial dimensions
+        const initialDimensions = {
             width: constants.width,
             height: constants.height,
             radius: constants.radius,
-            breakpoint: this.getBreakpoint(width),
             textSizes: constants.TEXT_SIZES
         };
+
+        console.log('Initial dimensions:', initialDimensions);
+
+        // Setup initial visualization
+        this.setupVisualization(initialDimensions);
+
+        // Verify visualization was created
+        console.log('SVG created:', !this.svg.empty());
+        console.log('Root node created:', !this.svg.select('.depth-0-node').empty());
+
+        // Setup resize handling
+        this.resizeManager.init(this.container, (dimensions) => {
+            this.emit('resize', { width: dimensions.width, height: dimensions.height });
+            const updatedConstants = this.responsiveConstants.calculate(
+                dimensions.width,
+                dimensions.height,
+                this.getFocusData()
+            );
+            this.updateVisualization({
+                ...dimensions,
+                ...updatedConstants
+            });
+        });
+
+        // Initialize settings panel
+        if (this.settingsPanel) {
+            this.settingsPanel.destroy();
+        }
+        this.settingsPanel = initializeSettingsPanel(this);
+
+        // Follow back/forward navigation between selections
+        if (this.options.history && !this.popstateHandler) {
+            this.popstateHandler = () => this.handlePopState();
+            window.addEventListener('popstate', this.popstateHandler);
+        }
+
+        // Try a failed post again as soon as the connection returns
+        if (!this.onlineHandler) {
+            this.onlineHandler = () => {
+                if (this.failedPostId !== null && this.failedPostId === this.displayedPostId) {
+                    this.fetchRelatedPostContent(this.failedPostId);
+                }
+            };
+            window.addEventListener('online', this.onlineHandler);
+        }
+
+        // Show or clear content as its tab (or whatever hides it) opens and closes
+        if (!this.stopWatchingVisibility) {
+            const watch = this.options.watchContentVisibility || watchTabSelection;
+            this.stopWatchingVisibility = watch(this, () => this.handleContentVisibilityChange());
+        }
+
+        // If content is visible, load initial content unless re-selecting
+        // a previous node in updateElements has already requested it
+        if (this.isContentVisible() && !this.findNode(this.lastSelectedNodeId)) {
+            this.loadSelectedContent();
+        }
     }
-    constructor() {
-        this.resizeObserver = null;
-        this.debounceTimeout = null;
-        this.isResizing = false;
-        this.lastDimensions = { width: 0, height: 0 };
+
+    /**
+     * Whether selected content should currently be shown
+     * @returns {boolean}
+     */
+    isContentVisible() {
+        if (!this.canLoadContent()) {
+            return false;
+        }
+        if (typeof this.options.isContentVisible === 'function') {
+            return Boolean(this.options.isContentVisible(this));
+        }
+        return isTabSelected(this.options.contentTab);
     }
 
-    init(container, callback) {
-        // Clean up existing observer if any
-        this.destroy();
+    handleContentVisibilityChange() {
+        if (!this.data || !this.canLoadContent()) {
+            return;
+        }
+        if (this.isContentVisible()) {
+            this.loadSelectedContent();
+        } else {
+            this.clearContentContainer();
+        }
+    }
 
-        // Create new resize observer
-        this.resizeObserver = new ResizeObserver(entries => {
-            for (const entry of entries) {
-                const { width, height } = entry.contentRect;
-                
-                // Only trigger if dimensions actually changed significantly (>1%)
-                const significantChange = 
-                    Math.abs(width - this.lastDimensions.width) > this.lastDimensions.width * 0.01 ||
-                    Math.abs(height - this.lastDimensions.height) > this.lastDimensions.height * 0.01;
+    /**
+     * Swap in a new hierarchy without rebuilding the wheel. Nodes whose id is
+     * in both trees move to their new places, the others fade in or out, and
+     * the selection is kept if its id is still there. A hierarchy still
+     * being loaded is discarded when it arrives.
+     * @param {Object} newTree - Same shape as the fetch_hierarchical_posts response
+     */
+    setData(newTree) {
+        // Data from page code wins over a hierarchy request still in flight
+        if (this.dataRequest) {
+            this.dataRequest.abort();
+            this.dataRequest = null;
+        }
 
-                if (significantChange) {
-                    this.handleResize(width, height, callback);
-                }
-            }
+        if (!this.svg || !this.dimensions) {
+            this.initialize(newTree);
+            return;
+        }
+
+        this.data = newTree;
+
+        const selectedPath = this.lastSelectedNodeId !== null
+            ? findDataPath(newTree, this.lastSelectedNodeId)
+            : [];
+        if (this.focusId !== null && !findDataPath(newTree, this.focusId).length) {
+            this.focusId = null;
+        }
+
+        if (selectedPath.length) {
+            // Re-root if the selection moved out of reach of the current focus
+            this.focusId = this.getFocusIdShowing(this.lastSelectedNodeId);
+        } else if (this.lastSelectedNodeId !== null) {
+            // The selected post is gone; fall back to the centre
+            this.lastSelectedNodeId = this.getFocusData().id;
+        }
+
+        if (this.keyboardFocusId !== null && !findDataPath(newTree, this.keyboardFocusId).length) {
+            this.keyboardFocusId = null;
+        }
+
+        const constants = this.responsiveConstants.calculate(
+            this.container.clientWidth,
+            this.container.clientHeight,
+            this.getFocusData()
+        );
+        this.updateVisualization({
+            ...this.dimensions,
+            ...constants
         });
 
-        // Start observing
-        this.resizeObserver.observe(container);
+        if (this.search) {
+            this.search.refresh();
+        }
     }
 
-    handleResize(width, height, callback) {
-        if (this.debounceTimeout) {
-            clearTimeout(this.debounceTimeout);
+    /**
+     * Id of the node named in the URL, if it exists in the current data
+     * @returns {*} The matching data id, or null
+     */
+    readLinkedNodeId() {
+        if (!this.options.history || !this.data) {
+            return null;
         }
-        this.isResizing = true;
-        this.debounceTimeout = setTimeout(() => {
-            this.isResizing = false;
-            this.lastDimensions = { width, height };
-            callback(this.calculateOptimalDimensions(width, height));
-        }, CONSTANTS.RESIZE.DEBOUNCE_DELAY);
+        const value = new URL(window.location.href).searchParams.get(this.options.historyParam);
+        if (value === null) {
+            return null;
+        }
+        const match = findDataNode(this.data, node => String(node.id) === value);
+        return match ? match.id : null;
     }
 
-    calculateOptimalDimensions(width, height) {
-        // Ensure minimum dimensions
-        width = Math.max(width, CONSTANTS.MIN_WIDTH);
-        height = Math.max(height, CONSTANTS.MIN_HEIGHT);
+    /**
+     * Record a user selection as a new history entry
+     * @param {*} id - Selected post id
+     */
+    pushHistoryState(id) {
+        if (!this.options.history) {
+            return;
+        }
+        const url = new URL(window.location.href);
+        if (url.searchParams.get(this.options.historyParam) === String(id)) {
+            return;
+        }
+        url.searchParams.set(this.options.historyParam, id);
+        window.history.pushState(
+            { ...window.history.state, [this.options.historyParam]: id },
+            '',
+            url
+        );
+    }
 
-        // Calculate dimensions maintaining aspect ratio
-        const currentRatio = width / height;
-        let finalWidth = width;
-        let finalHeight = height;
+    handlePopState() {
+        if (!this.data || !this.dimensions) {
+            return;
+        }
+        const linkedId = this.readLinkedNodeId();
+        if (linkedId === this.lastSelectedNodeId) {
+            return;
+        }
+        // No parameter means the entry before any selection was made
+        this.selectNodeById(linkedId !== null ? linkedId : this.data.id);
+    }
 
-        if (currentRatio > CONSTANTS.ASPECT_RATIO) {
-            // Too wide - adjust width
-            finalWidth = height * CONSTANTS.ASPECT_RATIO;
-        } else {
-            // Too tall - adjust height
-            finalHeight = width / CONSTANTS.ASPECT_RATIO;
+    /**
+     * Select a node anywhere in the hierarchy, re-rooting the wheel when it is
+     * not visible at the current focus. Does not add a history entry.
+     * @param {*} id - Post id to select
+     * @returns {boolean} Whether the node exists
+     */
+    selectNodeById(id) {
+        const path = findDataPath(this.data, id);
+        if (!path.length || !this.dimensions) {
+            return false;
         }
 
-        // Calculate optimal radius
-        const radius = Math.max(
-            Math.min(finalWidth, finalHeight) / 2 - CONSTANTS.RADIUS_PADDING,
-            CONSTANTS.MIN_RADIUS
-        );
+        this.lastSelectedNodeId = id;
 
-        // Determine breakpoint
-        const breakpoint = this.getBreakpoint(width);
+        const visibleNode = this.findNode(id);
+        if (visibleNode && !canDrillDown(visibleNode)) {
+            this.handleNodeClick(null, visibleNode);
+            return true;
+        }
 
-        return {
-            width: finalWidth,
-            height: finalHeight,
-            radius,
-            breakpoint,
-            textSizes: CONSTANTS.TEXT_SIZES[breakpoint]
-        };
+        // Re-render around the right focus; updateElements re-selects the node
+        this.focusId = getFocusIdForPath(path);
+        this.keyboardFocusId = id;
+        this.updateVisualization(this.dimensions);
+        return true;
     }
 
-    getBreakpoint(width) {
-        if (width < CONSTANTS.BREAKPOINTS.SMALL) return 'SMALL';
-        if (width < CONSTANTS.BREAKPOINTS.MEDIUM) return 'MEDIUM';
-        return 'LARGE';
+    /**
+     * Select a node as if the user had chosen it: beforeSelect can veto it,
+     * the wheel re-roots when needed and the selection goes into history
+     * @param {*} id - Post id
+     * @returns {boolean} Whether the node was selected
+     */
+    select(id) {
+        if (!this.dimensions || !findDataPath(this.data, id).length) {
+            return false;
+        }
+        if (!this.emit('beforeSelect', this.getNodeDetail(id), true)) {
+            return false;
+        }
+
+        this.selectNodeById(id);
+        this.reportSelection(id);
+        return true;
     }
 
-    destroy() {
-        if (this.resizeObserver) {
-            this.resizeObserver.disconnect();
-            this.resizeObserver = null;
+    // Keyboard entry point, history and announcement for an API selection
+    reportSelection(id) {
+        this.keyboardFocusId = id;
+        this.updateRovingTabIndex();
+        this.pushHistoryState(id);
+        this.announce(`${this.getNodeName(id)} selected`);
+    }
+
+    /**
+     * Move keyboard focus to a node without selecting it, re-rooting the
+     * wheel when the node is not visible at the current focus
+     * @param {*} id - Post id
+     * @returns {boolean} Whether the node received focus
+     */
+    focus(id) {
+        const path = findDataPath(this.data, id);
+        if (!path.length || !this.dimensions) {
+            return false;
         }
-        if (this.debounceTimeout) {
-            clearTimeout(this.debounceTimeout);
-            this.debounceTimeout = null;
+
+        this.keyboardFocusId = id;
+        if (!this.findNode(id)) {
+            this.focusId = getFocusIdForPath(path);
+            this.updateVisualization(this.dimensions);
         }
+        this.updateRovingTabIndex(true);
+        return true;
     }
-}
 
-// Utility Functions
-function getCSSVariable(variable) {
-    return getComputedStyle(document.documentElement)
-        .getPropertyValue(variable)
-        .trim();
-}
+    /**
+     * Select the next node clockwise on the selected node's ring, or the
+     * first branch when the centre is selected. Steps select in place, so
+     * a branch with deeper levels is not drilled into and repeated steps
+     * stay on the same ring.
+     * @returns {boolean} Whether a node was selected
+     */
+    selectNext() {
+        return this.selectAlongRing(1);
+    }
 
+    /**
+     * Select the next node anticlockwise on the selected node's ring
+     * @returns {boolean} Whether a node was selected
+     */
+    selectPrevious() {
+        return this.selectAlongRing(-1);
+    }
 
-function project(x, y) {
-    const angle = x - Math.PI / 2;
-    return [y * Math.cos(angle), y * Math.sin(angle)];
-}
+    selectAlongRing(step) {
+        if (!this.root) {
+            return false;
+        }
+        const current = this.findNode(this.lastSelectedNodeId);
+        const depth = current && current.depth > 0 ? current.depth : 1;
+        const ring = this.getRing(depth);
+        if (!ring.length) {
+            return false;
+        }
 
-function isActivePath(link, selectedNode) {
-    if (selectedNode.depth === 0) {
+        const index = ring.indexOf(current);
+        const target = index === -1
+            ? ring[step > 0 ? 0 : ring.length - 1]
+            : ring[(index + step + ring.length) % ring.length];
+        const id = target.data.id;
+        if (!this.emit('beforeSelect', this.getNodeDetail(id), true)) {
+            return false;
+        }
+
+        // Without an event the node is selected where it is, even if drillable
+        this.handleNodeClick(null, target);
+        this.reportSelection(id);
         return true;
-    } else if (selectedNode.depth === 1) {
-        return link.source === selectedNode.parent && link.target === selectedNode ||
-               link.source === selectedNode;
-    } else if (selectedNode.depth === 2) {
-        return (link.target === selectedNode) || 
-               (link.source === selectedNode.parent && link.target === selectedNode) ||
-               (link.source === selectedNode.parent.parent && link.target === selectedNode.parent);
     }
-    return false;
-}
 
-function isSiblingPath(link, selectedNode) {
-    if (selectedNode.depth === 1) {
-        return link.source === selectedNode.parent && link.target !== selectedNode ||
-               (link.source !== selectedNode.parent && link.source.parent === selectedNode.parent && link.source !== selectedNode);
-    } else if (selectedNode.depth === 2) {
-        return (link.source === selectedNode.parent && link.target !== selectedNode) ||
-               (link.source !== selectedNode.parent.parent && link.target.depth === 2 && link.target !== selectedNode);
+    /**
+     * Go back to the top of the hierarchy: root selected, no rotation,
+     * default zoom
+     */
+    reset() {
+        if (!this.data || !this.dimensions) {
+            return;
+        }
+        this.stopRotation();
+        this.rotation = 0;
+        this.focusId = null;
+        this.lastSelectedNodeId = this.data.id;
+        this.keyboardFocusId = this.data.id;
+        this.updateVisualization(this.dimensions);
+        this.svg.transition("zoom")
+            .duration(prefersReducedMotion() ? 0 : this.constants.TRANSITION_DURATION)
+            .call(this.zoom.transform, d3.zoomIdentity);
+        this.pushHistoryState(this.data.id);
     }
-    return false;
-}
 
+    /**
+     * Pan and zoom so a node is centred. Only nodes drawn at the current
+     * focus can be zoomed to; select() them first otherwise.
+     * @param {*} id - Post id
+     * @param {number} [scale]
+     * @returns {boolean} Whether the node is visible
+     */
+    zoomTo(id, scale) {
+        const d = this.findNode(id);
+        if (!d) {
+            return false;
+        }
+        this.zoomToNode(d, scale);
+        return true;
+    }
 
-// Create a settings panel class to manage the UI and updates
-class SettingsPanel {
-    constructor(constants, updateCallback) {
-        this.constants = constants;
-        this.updateCallback = updateCallback;
-        this.panel = null;
-        this.isVisible = false;
-        
-        // Define settings with flat structure
-        this.sections = [
-            {
-                title: 'Basic Dimensions',
-                settings: [
-                    {
-                        label: 'Minimum Width',
-                        path: 'MIN_WIDTH',
-                        type: 'number',
-                        min: 200,
-                        max: 2000,
-                        step: 50
-                    },
-                    {
-                        label: 'Minimum Height',
-                        path: 'MIN_HEIGHT',
-                        type: 'number',
-                        min: 200,
-                        max: 2000,
-                        step: 50
-                    },
-                    {
-                        label: 'Aspect Ratio',
-                        path: 'ASPECT_RATIO',
-                        type: 'number',
-                        min: 0.5,
-                        max: 2,
-                        step: 0.1
+    /**
+     * Serialisable snapshot of what the visitor is looking at
+     * @returns {{selectedId: *, focusId: *, rotation: number, transform: {x: number, y: number, k: number}}}
+     */
+    getState() {
+        const { x, y, k } = this.svg ? d3.zoomTransform(this.svg.node()) : d3.zoomIdentity;
+        return {
+            selectedId: this.lastSelectedNodeId,
+            focusId: this.focusId,
+            rotation: this.rotation,
+            transform: { x, y, k }
+        };
+    }
+
+    /**
+     * Restore a snapshot from getState(). Missing fields keep their current
+     * value; ids no longer in the hierarchy are ignored.
+     * @param {Object} state
+     * @returns {boolean} Whether the wheel was ready to take it
+     */
+    setState({ selectedId, focusId, rotation, transform } = {}) {
+        if (!this.data || !this.dimensions) {
+            return false;
+        }
+        const exists = id => id !== null && id !== undefined && findDataPath(this.data, id).length > 0;
+
+        this.stopRotation();
+        if (focusId !== undefined) {
+            this.focusId = exists(focusId) ? focusId : null;
+        }
+        if (exists(selectedId)) {
+            this.lastSelectedNodeId = selectedId;
+            this.keyboardFocusId = selectedId;
+            // Re-root if the selection would be out of reach of the focus
+            this.focusId = this.getFocusIdShowing(selectedId);
+        }
+        if (Number.isFinite(rotation)) {
+            this.rotation = rotation;
+        }
+
+        this.updateVisualization(this.dimensions);
+
+        if (transform) {
+            this.svg.interrupt("zoom");
+            this.svg.call(this.zoom.transform, d3.zoomIdentity.translate(transform.x, transform.y).scale(transform.k));
+        }
+        return true;
+    }
+
+    setupVisualization(dimensions) {
+        const { width, height } = dimensions;
+
+        // Clear any existing SVG content and controls from a previous run
+        const existingSvg = d3.select(this.container).select("svg");
+        const cleanupFn = existingSvg.empty() ? null : existingSvg.property("__cleanupFn");
+        if (typeof cleanupFn === "function") {
+            cleanupFn();
+        }
+        existingSvg.selectAll("*").remove();
+        d3.select(this.container).selectAll(".zoom-controls").remove();
+
+        // Create initial SVG and zoom container
+        const { svg, zoomContainer } = createSVG(this.container, width, height);
+        this.svg = svg;
+        this.zoomContainer = zoomContainer;
+
+        // Add a responsive resize behavior
+        svg.attr("preserveAspectRatio", "xMidYMid meet");
+
+        // Pan/zoom behaviour, starting from the identity for the fresh container
+        this.zoom = setupZoom(svg, this.constants);
+        svg.call(this.zoom.transform, d3.zoomIdentity);
+
+        // Add zoom controls, with the optional search field beside them
+        const controls = addZoomControls(svg, this.zoom, this.constants);
+        if (this.options.search) {
+            this.createSearch(controls.node());
+        }
+
+        // Screen reader announcements for selection and loading
+        this.createLiveRegion();
+
+        // Create initial visualization
+        this.updateVisualization(dimensions);
+    }
+
+    updateVisualization(dimensions) {
+        const { width, height, radius } = dimensions;
+        this.dimensions = dimensions;
+
+        // Create zoom container if it doesn't exist
+        if (this.zoomContainer.empty()) {
+            this.zoomContainer = this.svg.append("g").attr("class", "zoom-container");
+        }
+
+        // Update viewBox
+        this.transitionManager.transition(this.svg)
+            .attr("viewBox", [-width / 2, -height / 2, width, height]);
+
+        // Process data with new dimensions, laid out around the current focus
+        this.root = processData(this.getFocusData(), radius, this.constants, {
+            rotation: this.rotation,
+            leafSpacing: this.getMinimumLeafSpacing(),
+            labelSizes: this.labelSizes,
+            sectorGap: this.options.sectorGap
+        });
+
+        // Update or create elements with transitions
+        this.elements = this.updateElements(this.root, dimensions);
+    }
+
+    /**
+     * Arc each outer node needs so neighbouring indicators stay separate
+     * touch targets on the current device
+     * @returns {number}
+     */
+    getMinimumLeafSpacing() {
+        const viability = this.responsiveConstants.minimumViability;
+        const { TOUCH_TARGET, SPACING } = viability.MINIMUM_REQUIREMENTS;
+        return TOUCH_TARGET[viability.detectDeviceType()] + SPACING.MINIMUM_GAP;
+    }
+
+    updateElements(root, dimensions) {
+        const { radius, textSizes } = dimensions;
+        const constants = this.constants;
+        const zoomContainer = this.zoomContainer;
+
+        // Remember whether keyboard focus was inside the wheel before the update
+        const hadKeyboardFocus = this.container.contains(document.activeElement);
+
+        // Elements are joined on d.data.id, so anything already drawn moves
+        // to its new place while added and removed nodes fade in and out
+        ZOOM_LAYERS.forEach(name => getLayer(zoomContainer, name));
+        const transition = this.transitionManager.transition(
+            zoomContainer,
+            prefersReducedMotion() ? 0 : constants.TRANSITION_DURATION,
+            "layout"
+        );
+
+        // Outer circle, one per ring the outer nodes are staggered over
+        createOuterRings(getLayer(zoomContainer, "outer-rings"), root, radius, constants, transition);
+        createBranchSectors(getLayer(zoomContainer, "branch-sectors"), root, radius, constants, this.options.branchSectors, transition)
+            .attr("transform", `rotate(${this.rotation * 180 / Math.PI})`);
+
+        const linkGenerator = createLinkGenerator(radius, constants);
+        const link = createLinks(getLayer(zoomContainer, "links"), root, linkGenerator, transition);
+        const node = createNodes(getLayer(zoomContainer, "nodes"), root, constants, transition);
+        const { outerIndicators, outerTexts } = createOuterElements(getLayer(zoomContainer, "outer-group"), root, radius, constants, transition);
+        outerTexts.each(d => this.labelSizes.set(d.data.id, d.labelSize));
+        this.setupRotation(radius);
+
+        // Update sizes and positions
+        updateNodeSizes(node, constants);
+        positionNodes(node.transition(transition), root);
+
+        // Mark nodes that re-root the wheel when selected
+        node.classed("drillable", canDrillDown);
+        outerTexts.classed("drillable", canDrillDown);
+        zoomContainer.selectAll(".indicator-group").classed("drillable", canDrillDown);
+        this.createFocusParentControl();
+
+        this.elements = { link, node, outerIndicators, outerTexts };
+        this.applyTreeSemantics();
+
+        // Set up mouse and keyboard handlers
+        setupEventListeners(this.elements, {
+            onSelect: (event, d) => this.handleNodeClick(event, d),
+            onNavigate: (event, d, direction) => this.moveKeyboardFocus(d, direction),
+            onHover: (event, d) => {
+                if (this.canLoadContent()) {
+                    this.preloadQueue.enqueue([d.data.id], PRELOAD_PRIORITY.HOVER);
+                }
+                this.emit('hover', this.getNodeDetail(d.data.id));
+            }
+        });
+
+        // Update text sizes based on breakpoint
+        node.selectAll(".node-content")
+            .style("font-size", d => {
+                if (d.depth === 0) return `${textSizes.CENTER}px`;
+                if (d.depth === 1) return `${textSizes.DEPTH_ONE}px`;
+                return `${textSizes.DEPTH_TWO}px`;
+            });
+
+        // If there was a previously selected node, reselect it. A selection
+        // that has already been handled only needs its highlight back, so
+        // resizes and data updates leave the content panel alone.
+        if (this.lastSelectedNodeId) {
+            const selectedNode = this.findNode(this.lastSelectedNodeId);
+            if (selectedNode && this.emittedSelectionId === selectedNode.data.id) {
+                this.highlightSelection(selectedNode);
+            } else if (selectedNode) {
+                this.handleNodeClick(null, selectedNode);
+            }
+        }
+
+        this.updateRovingTabIndex(hadKeyboardFocus);
+        this.applySearchHighlight();
+
+        this.emit('layout', {
+            focus: this.getNodeDetail(root.data.id),
+            radius,
+            nodeCount: root.descendants().length
+        });
+
+        return this.elements;
+    }
+
+    createSearch(host) {
+        if (this.search) {
+            this.search.destroy();
+        }
+
+        this.search = new NodeSearch(host, {
+            getEntries: () => this.getSearchEntries(),
+            onResults: matches => {
+                this.searchMatches = matches;
+                this.applySearchHighlight();
+            },
+            onSelect: (id, event) => this.selectSearchResult(id, event)
+        });
+        this.search.initialize();
+    }
+
+    /**
+     * Every node in the hierarchy, with its parent's name to tell apart
+     * entries that share a title
+     * @returns {Object[]}
+     */
+    getSearchEntries() {
+        const entries = [];
+        const visit = (node, parent) => {
+            entries.push({
+                id: node.id,
+                name: node.name,
+                info: node.info,
+                context: parent ? parent.name : ''
+            });
+            (node.children || []).forEach(child => visit(child, node));
+        };
+        if (this.data) {
+            visit(this.data, null);
+        }
+        return entries;
+    }
+
+    /**
+     * Highlight search matches on the rings and dim everything else
+     */
+    applySearchHighlight() {
+        if (!this.elements) {
+            return;
+        }
+
+        const matches = this.searchMatches;
+        const isMatch = d => Boolean(matches && matches.has(d.data.id));
+        const isDimmed = d => Boolean(matches && !matches.has(d.data.id));
+
+        const { node, outerTexts } = this.elements;
+        node.classed("search-match", isMatch).classed("search-dimmed", isDimmed);
+        outerTexts.classed("search-match", isMatch).classed("search-dimmed", isDimmed);
+        this.zoomContainer.selectAll(".indicator-group")
+            .classed("search-match", isMatch)
+            .classed("search-dimmed", isDimmed);
+    }
+
+    selectSearchResult(id, event) {
+        const visibleNode = this.findNode(id);
+        if (visibleNode) {
+            // Behaves exactly like clicking the node, including drilling down
+            this.handleNodeClick(event, visibleNode);
+        } else if (this.emit('beforeSelect', this.getNodeDetail(id), true) && this.selectNodeById(id)) {
+            this.pushHistoryState(id);
+            this.announce(`${this.getNodeName(id)} selected`);
+        }
+    }
+
+    /**
+     * Expose the wheel to assistive technology as an ARIA tree. The focusable
+     * node elements become treeitems; the SVG plumbing around them is hidden
+     * or marked presentational so it does not break the tree structure.
+     */
+    applyTreeSemantics() {
+        const { link, node, outerTexts } = this.elements;
+        const zoomContainer = this.zoomContainer;
+
+        zoomContainer
+            .attr("role", "tree")
+            .attr("aria-label", this.root.data.name);
+
+        // Decorative geometry duplicates what the treeitems already convey
+        zoomContainer.select(".outer-rings").attr("aria-hidden", "true");
+        zoomContainer.select(".rotation-layer").attr("aria-hidden", "true");
+        zoomContainer.select(".links").attr("aria-hidden", "true");
+        zoomContainer.selectAll(".indicator-group").attr("aria-hidden", "true");
+        zoomContainer.select(".branch-sectors").attr("aria-hidden", "true");
+
+        // Wrappers between the tree and its items carry no semantics
+        zoomContainer.select(".nodes").attr("role", "none");
+        node.attr("role", "none").select("foreignObject").attr("role", "none");
+        zoomContainer.select(".outer-group").attr("role", "none");
+        outerTexts.attr("role", "none");
+
+        const siblingsOf = d => (d.parent ? d.parent.children : [d]).slice().sort((a, b) => a.x - b.x);
+        const applyItemAttributes = selection => selection
+            .attr("role", "treeitem")
+            .attr("aria-level", d => d.depth + 1)
+            .attr("aria-setsize", d => siblingsOf(d).length)
+            .attr("aria-posinset", d => siblingsOf(d).indexOf(d) + 1)
+            .attr("aria-selected", "false")
+            .attr("aria-expanded", d => (d.children || d.collapsedChildren) ? String(d.depth === 0) : null);
+
+        applyItemAttributes(node.select(".node-content"));
+        applyItemAttributes(outerTexts.select(".outer-text"));
+    }
+
+    /**
+     * Mirror the active/faded state from a selection onto the treeitems
+     * @param {Object} d - The selected node
+     */
+    updateTreeState(d) {
+        const { node, outerTexts } = this.elements;
+
+        // A branch counts as expanded while its children are not faded out
+        const isExpanded = n => {
+            if (n.collapsedChildren) return false;
+            return n.depth === 0 || d.depth === 0 || n === d || n === d.parent;
+        };
+
+        [node.select(".node-content"), outerTexts.select(".outer-text")].forEach(items => {
+            items
+                .attr("aria-selected", n => String(n === d))
+                .attr("aria-expanded", n => (n.children || n.collapsedChildren) ? String(isExpanded(n)) : null);
+        });
+    }
+
+    /**
+     * Create the visually hidden live region used for announcements
+     */
+    createLiveRegion() {
+        if (this.liveRegion) {
+            this.liveRegion.remove();
+        }
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'circular-nav-live-region';
+        this.liveRegion.setAttribute('role', 'status');
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.setAttribute('aria-atomic', 'true');
+        this.container.appendChild(this.liveRegion);
+    }
+
+    /**
+     * Announce a message to screen readers through the live region
+     * @param {string} message
+     */
+    announce(message) {
+        if (!this.liveRegion) {
+            return;
+        }
+        // Clear first so repeating the same message is still announced
+        this.liveRegion.textContent = '';
+        requestAnimationFrame(() => {
+            if (this.liveRegion) {
+                this.liveRegion.textContent = message;
+            }
+        });
+    }
+
+    /**
+     * Post title for an id anywhere in the hierarchy
+     * @param {*} id
+     * @returns {string}
+     */
+    getNodeName(id) {
+        const path = findDataPath(this.data, id);
+        return path.length ? path[path.length - 1].name : '';
+    }
+
+    /**
+     * The focusable HTML element that represents a node on the wheel
+     * @param {Object} d - Hierarchy node
+     * @returns {HTMLElement|null}
+     */
+    getFocusTarget(d) {
+        const { node, outerTexts } = this.elements;
+        const owner = d.depth < 2 ? node : outerTexts;
+        const selector = d.depth < 2 ? ".node-content" : ".outer-text";
+        return owner.filter(n => n === d).select(selector).node();
+    }
+
+    /**
+     * Keep exactly one node in the tab order (roving tabindex)
+     * @param {boolean} [moveFocus=false] - Also move DOM focus to that node
+     */
+    updateRovingTabIndex(moveFocus = false) {
+        if (!this.elements || !this.root) {
+            return;
+        }
+
+        const current = this.findNode(this.keyboardFocusId) ||
+            this.findNode(this.lastSelectedNodeId) ||
+            this.root;
+        this.keyboardFocusId = current.data.id;
+
+        const { node, outerTexts } = this.elements;
+        node.select(".node-content").attr("tabindex", d => d === current ? 0 : -1);
+        outerTexts.select(".outer-text").attr("tabindex", d => d === current ? 0 : -1);
+
+        if (moveFocus) {
+            const target = this.getFocusTarget(current);
+            if (target) {
+                target.focus({ preventScroll: true });
+            }
+        }
+    }
+
+    /**
+     * Move keyboard focus relative to a node
+     * @param {Object} d - Node that currently has focus
+     * @param {string} direction - One of the NAVIGATION_KEYS values
+     */
+    moveKeyboardFocus(d, direction) {
+        const byAngle = (a, b) => a.x - b.x;
+        let target = null;
+
+        if (direction === 'previous' || direction === 'next') {
+            const ring = this.getRing(d.depth);
+            const step = direction === 'next' ? 1 : -1;
+            target = ring[(ring.indexOf(d) + step + ring.length) % ring.length];
+        } else if (direction === 'parent') {
+            target = d.parent;
+        } else if (direction === 'child') {
+            target = (d.children || []).slice().sort(byAngle)[0];
+        } else if (direction === 'root') {
+            target = this.root;
+        }
+
+        if (target) {
+            this.keyboardFocusId = target.data.id;
+            this.updateRovingTabIndex(true);
+        }
+    }
+
+    /**
+     * Nodes at one depth in clockwise order, as assigned in processData
+     * @param {number} depth
+     * @returns {Object[]}
+     */
+    getRing(depth) {
+        return this.root.descendants().filter(n => n.depth === depth).sort((a, b) => a.x - b.x);
+    }
+
+    findNode(id) {
+        return this.root ? this.root.descendants().find(d => d.data.id === id) : undefined;
+    }
+
+    /**
+     * Raw data of the node the wheel is currently centred on
+     * @returns {Object}
+     */
+    getFocusData() {
+        const path = this.focusId !== null ? findDataPath(this.data, this.focusId) : [];
+        return path.length ? path[path.length - 1] : this.data;
+    }
+
+    /**
+     * Focus at which a node is drawn: the current one if the node is on its
+     * rings, otherwise the one navigating to the node would reach
+     * @param {*} id - Post id in the hierarchy
+     * @returns {*} Focus id, or null for the top of the tree
+     */
+    getFocusIdShowing(id) {
+        // The wheel draws the focus and two rings below it
+        const pathFromFocus = findDataPath(this.getFocusData(), id);
+        if (pathFromFocus.length && pathFromFocus.length <= 3) {
+            return this.focusId;
+        }
+        return getFocusIdForPath(findDataPath(this.data, id));
+    }
+
+    /**
+     * Raw data of the focus root's parent, or null when showing the top of the tree
+     * @returns {Object|null}
+     */
+    getFocusParentData() {
+        const path = this.focusId !== null ? findDataPath(this.data, this.focusId) : [];
+        return path.length > 1 ? path[path.length - 2] : null;
+    }
+
+    createFocusParentControl() {
+        // Lives outside the zoom container so it is not part of the ARIA tree
+        this.svg.selectAll(".focus-parent").remove();
+
+        const parentData = this.getFocusParentData();
+        if (!parentData) {
+            return;
+        }
+
+        const width = this.constants.TEXT_LAYOUT.WIDTH;
+        const height = this.constants.TEXT_LAYOUT.BASE_HEIGHT / 2;
+        const offset = this.constants.NODE_SIZES.CENTRAL.HEIGHT / 2 + height;
+
+        this.svg.append("foreignObject")
+            .attr("class", "focus-parent")
+            .attr("width", width)
+            .attr("height", height)
+            .attr("x", -width / 2)
+            .attr("y", -offset - height)
+            .append("xhtml:button")
+            .attr("type", "button")
+            .attr("class", "focus-parent-button")
+            .attr("title", `Back to ${parentData.name}`)
+            .text(`↑ ${parentData.name}`)
+            .on("click", (event) => {
+                event.stopPropagation();
+                this.drillUp();
+            });
+    }
+
+    /**
+     * Re-root the wheel on another node with a zoom animation
+     * @param {*} focusId - Id of the node to centre on
+     * @param {string} direction - 'in' when descending, 'out' when going back up
+     * @param {Object} [origin] - Hierarchy node the zoom-in starts from
+     * @param {*} [selectedId] - Node selected afterwards, the new focus by default
+     */
+    drillTo(focusId, direction, origin = null, selectedId = focusId) {
+        if (this.isDrilling || !this.dimensions) {
+            return;
+        }
+        this.isDrilling = true;
+        this.pushHistoryState(selectedId);
+
+        const zoomContainer = this.zoomContainer;
+        const restingTransform = zoomContainer.attr("transform") || "translate(0,0) scale(1)";
+        const duration = this.constants.TRANSITION_DURATION / 2;
+        const zoomScale = 2;
+
+        // Zoom in towards the clicked node, or shrink away when going up
+        let exitTransform = `scale(${1 / zoomScale})`;
+        if (direction === 'in' && origin) {
+            const [x, y] = origin.depth === 0 ? [0, 0] : project(origin.x, origin.y);
+            exitTransform = `translate(${-x * zoomScale},${-y * zoomScale}) scale(${zoomScale})`;
+        }
+        const enterTransform = direction === 'in' ? `scale(${1 / zoomScale})` : `scale(${zoomScale})`;
+
+        const finish = () => {
+            this.isDrilling = false;
+        };
+
+        this.transitionManager.transition(zoomContainer, duration)
+            .attr("transform", exitTransform)
+            .style("opacity", 0)
+            .on("interrupt.drill", finish)
+            .on("end.drill", () => {
+                this.focusId = focusId;
+                this.lastSelectedNodeId = selectedId;
+                this.keyboardFocusId = selectedId;
+                this.stopRotation();
+                this.rotation = 0;
+                this.updateVisualization(this.dimensions);
+                this.announce(`Showing ${this.root.data.name}`);
+
+                zoomContainer.attr("transform", enterTransform);
+                this.transitionManager.transition(zoomContainer, duration)
+                    .attr("transform", restingTransform)
+                    .style("opacity", 1)
+                    .on("interrupt.drill", finish)
+                    .on("end.drill", finish);
+            });
+    }
+
+    /**
+     * Smoothly pan and zoom so a node sits in the middle of the view
+     * @param {Object} d - Hierarchy node
+     * @param {number} [scale] - Target scale, clamped to CONSTANTS.ZOOM
+     */
+    zoomToNode(d, scale = this.constants.ZOOM.NODE_SCALE) {
+        if (!this.zoom) {
+            return;
+        }
+
+        const k = Math.max(this.constants.ZOOM.MIN_SCALE, Math.min(this.constants.ZOOM.MAX_SCALE, scale));
+        // Aim for where the node ends up once a rotate-to-focus has finished
+        const angle = this.rotationTarget !== null ? d.layoutX + this.rotationTarget : d.x;
+        const [x, y] = d.depth === 0 ? [0, 0] : project(angle, d.y);
+        const transform = d3.zoomIdentity.translate(-x * k, -y * k).scale(k);
+
+        this.svg.transition("zoom")
+            .duration(prefersReducedMotion() ? 0 : this.constants.TRANSITION_DURATION)
+            .call(this.zoom.transform, transform);
+    }
+
+    /**
+     * Let the outer ring be turned like a dial. A transparent band behind the
+     * outer nodes, and the outer nodes themselves, can be dragged round the
+     * centre; on release the wheel coasts and then settles with the nearest
+     * outer node at the reading angle.
+     * @param {number} radius
+     */
+    setupRotation(radius) {
+        const zoomContainer = this.zoomContainer;
+        const layer = getLayer(zoomContainer, "rotation-layer");
+        if (!this.options.rotatable) {
+            layer.selectAll(".rotation-handle").remove();
+            return;
+        }
+
+        const constants = this.constants;
+        const indicatorRadius = radius + constants.DEPTH_TWO_RADIUS;
+        const { count, spacing } = this.root.outerRings;
+        const outermostRadius = indicatorRadius + (count - 1) * spacing;
+
+        // Bottom layer so links and nodes are drawn over it
+        layer.selectAll(".rotation-handle")
+            .data([null])
+            .join("path")
+            .attr("class", "rotation-handle")
+            .attr("d", d3.arc()({
+                innerRadius: indicatorRadius - constants.DEPTH_TWO_RADIUS / 2,
+                outerRadius: outermostRadius + constants.TEXT_LAYOUT.BASE_SPACING + constants.TEXT_LAYOUT.BASE_HEIGHT,
+                startAngle: 0,
+                endAngle: 2 * Math.PI
+            }));
+
+        let lastAngle = 0;
+        let lastTime = 0;
+        let velocity = 0;
+        let moved = false;
+        const pointerAngle = event => Math.atan2(event.y, event.x);
+
+        const drag = d3.drag()
+            .container(() => zoomContainer.node())
+            // Leave two-finger gestures to d3.zoom for pinching
+            .filter(event => !event.button && !(event.touches && event.touches.length > 1))
+            .clickDistance(4)
+            .on("start", event => {
+                this.stopRotation();
+                lastAngle = pointerAngle(event);
+                lastTime = event.sourceEvent.timeStamp;
+                velocity = 0;
+                moved = false;
+            })
+            .on("drag", event => {
+                const angle = pointerAngle(event);
+                const delta = wrapAngle(angle - lastAngle);
+                const elapsed = Math.max(1, event.sourceEvent.timeStamp - lastTime);
+
+                if (!moved) {
+                    moved = true;
+                    this.container.classList.add('is-rotating');
+                }
+
+                // Smooth the release speed over the last few moves
+                velocity = 0.8 * (delta / elapsed) + 0.2 * velocity;
+                lastAngle = angle;
+                lastTime = event.sourceEvent.timeStamp;
+                this.setRotation(this.rotation + delta);
+            })
+            .on("end", event => {
+                if (!moved) {
+                    return;
+                }
+                // Holding still before letting go means no fling
+                if (event.sourceEvent.timeStamp - lastTime > 100) {
+                    velocity = 0;
+                }
+                this.spinRotation(velocity);
+            });
+
+        zoomContainer.selectAll(".rotation-handle, .outer-group").call(drag);
+    }
+
+    /**
+     * Turn the whole layout to an absolute angle without rebuilding it
+     * @param {number} angle - Radians, clockwise
+     */
+    setRotation(angle) {
+        if (!this.root || !this.elements) {
+            return;
+        }
+
+        this.rotation = angle;
+        this.root.each(d => {
+            d.x = d.layoutX + angle;
+        });
+
+        const { radius } = this.dimensions;
+        this.zoomContainer.select(".branch-sectors").attr("transform", `rotate(${angle * 180 / Math.PI})`);
+        this.elements.link.attr("d", createLinkGenerator(radius, this.constants));
+        positionNodes(this.elements.node, this.root);
+        positionOuterElements(this.zoomContainer.select(".outer-group"), radius, this.constants);
+    }
+
+    /**
+     * Keep spinning with the release velocity, slowing by ROTATION.FRICTION,
+     * then snap to the reading angle
+     * @param {number} velocity - Radians per millisecond
+     */
+    spinRotation(velocity) {
+        const { FRICTION, MIN_VELOCITY } = this.constants.ROTATION;
+        this.stopRotation();
+
+        if (prefersReducedMotion() || Math.abs(velocity) < MIN_VELOCITY) {
+            this.snapRotation();
+            return;
+        }
+
+        let previous = 0;
+        this.rotationTimer = d3.timer(elapsed => {
+            const frame = elapsed - previous;
+            previous = elapsed;
+            this.setRotation(this.rotation + velocity * frame);
+
+            // Friction is specified per 60fps frame
+            velocity *= Math.pow(FRICTION, frame / 16);
+            if (Math.abs(velocity) < MIN_VELOCITY) {
+                this.snapRotation();
+            }
+        });
+    }
+
+    /**
+     * Ease the rotation so the nearest outer node sits at the reading angle
+     */
+    snapRotation() {
+        this.stopRotation();
+
+        const outerNodes = this.root ? this.root.descendants().filter(d => d.depth === 2) : [];
+        if (!outerNodes.length) {
+            this.container.classList.remove('is-rotating');
+            return;
+        }
+
+        const readingAngle = this.options.readingAngle * Math.PI / 180;
+        const offset = outerNodes
+            .map(d => wrapAngle(readingAngle - d.x))
+            .reduce((best, delta) => (Math.abs(delta) < Math.abs(best) ? delta : best));
+
+        const from = this.rotation;
+        const to = from + offset;
+        const duration = prefersReducedMotion() ? 0 : this.constants.ROTATION.SNAP_DURATION;
+
+        const finish = () => {
+            this.stopRotation();
+            this.setRotation(to);
+            this.container.classList.remove('is-rotating');
+        };
+
+        if (!duration) {
+            finish();
+            return;
+        }
+
+        this.rotationTimer = d3.timer(elapsed => {
+            const t = Math.min(1, elapsed / duration);
+            this.setRotation(from + offset * d3.easeCubicOut(t));
+            if (t === 1) {
+                finish();
+            }
+        });
+    }
+
+    /**
+     * Turn the wheel so a node's branch points at options.focusAngle
+     * @param {Object} d - Hierarchy node; the centre node is left alone
+     */
+    rotateToNode(d) {
+        if (!d.parent) {
+            return;
+        }
+        this.stopRotation();
+
+        const focusAngle = this.options.focusAngle * Math.PI / 180;
+        const from = this.rotation;
+        const to = from + wrapAngle(focusAngle - d.x);
+        if (to === from) {
+            return;
+        }
+
+        if (prefersReducedMotion()) {
+            this.setRotation(to);
+            return;
+        }
+
+        this.rotationTarget = to;
+        this.transitionManager.transition(this.zoomContainer, this.constants.TRANSITION_DURATION, "rotation")
+            .tween("rotation", () => {
+                const interpolate = d3.interpolateNumber(from, to);
+                return t => this.setRotation(interpolate(t));
+            })
+            .on("end.rotation", () => {
+                this.rotationTarget = null;
+            });
+    }
+
+    stopRotation() {
+        if (this.rotationTimer) {
+            this.rotationTimer.stop();
+            this.rotationTimer = null;
+        }
+        if (this.rotationTarget !== null) {
+            this.zoomContainer.interrupt("rotation");
+            this.rotationTarget = null;
+        }
+    }
+
+    drillUp() {
+        const parentData = this.getFocusParentData();
+        if (parentData) {
+            this.drillTo(parentData.id, 'out');
+        }
+    }
+
+    handleNodeClick(event, d) {
+        if (event) {
+            event.stopPropagation();
+
+            // Page code may veto a selection the user makes
+            if (!this.emit('beforeSelect', this.getNodeDetail(d.data.id), true)) {
+                return;
+            }
+
+            // Nodes hiding deeper levels re-root the wheel instead of selecting
+            // in place, on the same focus a deep link to them would use
+            if (canDrillDown(d)) {
+                this.drillTo(getFocusIdForPath(findDataPath(this.data, d.data.id)), 'in', d, d.data.id);
+                return;
+            }
+        }
+
+        this.highlightSelection(d);
+        this.preloadAround(d);
+
+        // Re-renders re-apply the selection; only a change is reported
+        if (this.emittedSelectionId !== d.data.id) {
+            this.emittedSelectionId = d.data.id;
+            this.emit('select', this.getNodeDetail(d.data.id));
+        }
+
+        // Bring the chosen branch round towards the content
+        if (event && this.options.rotateToFocus) {
+            this.rotateToNode(d);
+        }
+
+        // Small outer indicators are hard to see on phones; bring them closer
+        if (event && d.depth === 2 &&
+            this.responsiveConstants.minimumViability.detectDeviceType() === 'MOBILE') {
+            this.zoomToNode(d);
+        }
+
+        // A user selection also moves the keyboard entry point and is shareable
+        if (event) {
+            this.keyboardFocusId = d.data.id;
+            this.updateRovingTabIndex();
+            this.announce(`${d.data.name} selected`);
+            this.pushHistoryState(d.data.id);
+        }
+
+        // Only fetch content while it can be seen
+        if (this.isContentVisible()) {
+            this.fetchRelatedPostContent(d.data.id);
+        } else if (this.canLoadContent()) {
+            this.clearContentContainer();
+        }
+    }
+
+    /**
+     * Show a node as selected: active nodes, indicators, links, sector and
+     * labels, plus the tree state. Touches nothing outside the wheel.
+     * @param {Object} d - Hierarchy node
+     */
+    highlightSelection(d) {
+        const { node, outerTexts, link } = this.elements;
+
+        // Get all indicator groups
+        const indicatorGroups = this.zoomContainer.selectAll(".indicator-group");
+
+        // Update nodes and basic indicator classes
+        node.classed("active", n => n === d || n === d.parent || (d.depth === 2 && n === d.parent.parent));
+
+        // Update indicators and their animations
+        indicatorGroups.each(function(n) {
+            const group = d3.select(this);
+            const isActive = n === d || (d.depth === 1 && n.parent === d) || (d.depth === 2 && n === d);
+
+            // Only pulse if:
+            // 1. The node is active AND
+            // 2. Either:
+            //    - We're clicking a depth-2 node and this is that node
+            //    - We're clicking the root node (optional - disabled)
+            const shouldPulse = isActive && (
+                (d.depth === 2 && n === d)
+            );
+
+            // Update main indicator
+            const indicator = group.select(".outer-indicator");
+            indicator
+                .classed("active", isActive)
+                .classed("pulse", shouldPulse);
+        });
+
+        // Update node content styles
+        node.select(".node-content")
+            .style("background-color", n => {
+                if (n.depth === 0) return getCSSVariable('--node-bg-central');
+                if (n === d) return getCSSVariable('--node-bg-active');
+                if (n === d.parent || (d.depth === 2 && n === d.parent)) return getCSSVariable('--node-bg-active');
+                return getCSSVariable('--node-bg-default');
+            })
+            .style("color", n => (n === d || n === d.parent || n.depth === 0) ? getCSSVariable('--text-active') : getCSSVariable('--text-default'));
+
+        // Update links
+        link.transition()
+            .duration(this.constants.TRANSITION_DURATION)
+            .ease(d3.easeElastic)
+            .style("stroke", l => isActivePath(l, d) ? getCSSVariable('--link-active') : getCSSVariable('--link-inactive'))
+            .style("stroke-width", l => isActivePath(l, d) ? getCSSVariable('--link-width-active') : getCSSVariable('--link-width'))
+            .attr("class", l => isSiblingPath(l, d) ? "link sibling" : "link")
+            .style("opacity", l => {
+                if (l.source.depth === 1 && l.target.depth === 2) {
+                    if (d.depth === 0) return 1;
+                    if (d.depth === 1) return l.source === d ? 1 : 0;
+                    if (d.depth === 2) return l.source === d.parent ? 1 : 0;
+                }
+                return 1;
+            });
+
+        // Highlight the selected branch's sector
+        this.zoomContainer.selectAll(".branch-sector")
+            .classed("active", n => n === d || n === d.parent);
+
+        // Update outer texts
+        outerTexts.classed("active", n => n === d || (d.depth === 1 && n.parent === d) || (d.depth === 2 && n === d))
+                  .classed("faded", n => {
+                      if (d.depth === 1) return n.parent !== d;
+                      if (d.depth === 2) return n !== d && n.parent !== d.parent;
+                      return false;
+                  });
+
+        // Remember the selection so it survives re-renders
+        this.lastSelectedNodeId = d.data.id;
+        this.updateTreeState(d);
+    }
+
+    /**
+     * Report something to page code: calls the matching on<Type> option and
+     * dispatches a bubbling circular-navigation:<type> CustomEvent on the
+     * container, both receiving the same detail
+     * @param {string} type - e.g. 'select', 'beforeContentLoad'
+     * @param {Object} detail
+     * @param {boolean} [cancelable] - Handlers may call event.preventDefault()
+     * @returns {boolean} false if a handler cancelled the event
+     */
+    emit(type, detail, cancelable = false) {
+        const event = new CustomEvent(`circular-navigation:${type}`, { detail, bubbles: true, cancelable });
+
+        const callback = this.options[`on${type[0].toUpperCase()}${type.slice(1)}`];
+        if (typeof callback === 'function') {
+            try {
+                callback(detail, event);
+            } catch (error) {
+                console.error(`Error in ${type} handler:`, error);
+            }
+        }
+
+        this.container.dispatchEvent(event);
+        return !event.defaultPrevented;
+    }
+
+    /**
+     * Describe a node for event payloads. Depth and path are measured from
+     * the top of the whole hierarchy, not the drilled-in focus.
+     * @param {*} id - Post id
+     * @returns {{id: *, name: string, depth: number, path: Array<{id: *, name: string}>}}
+     *   path lists the ancestors from the top down, excluding the node itself
+     */
+    getNodeDetail(id) {
+        const path = findDataPath(this.data, id);
+        const data = path[path.length - 1];
+        return {
+            id,
+            name: data ? data.name : '',
+            depth: Math.max(0, path.length - 1),
+            path: path.slice(0, -1).map(ancestor => ({ id: ancestor.id, name: ancestor.name }))
+        };
+    }
+
+    getContentContainer() {
+        const target = this.options.contentTarget;
+        return typeof target === 'string' ? document.querySelector(target) : target;
+    }
+
+    /**
+     * Whether content is wanted at all: loading is on, and there is
+     * somewhere to fetch it from and somewhere to put it
+     * @returns {boolean}
+     */
+    canLoadContent() {
+        return this.options.loadContent && Boolean(this.options.contentUrl) && Boolean(this.getContentContainer());
+    }
+
+    /**
+     * @param {*} postId
+     * @returns {string}
+     */
+    getContentUrl(postId) {
+        const { contentUrl } = this.options;
+        return typeof contentUrl === 'function' ? contentUrl(postId) : `${contentUrl}${postId}`;
+    }
+
+    /**
+     * @param {*} postId
+     * @returns {string|null} null when versions cannot be checked separately
+     */
+    getContentVersionUrl(postId) {
+        const { contentUrl, contentVersionUrl } = this.options;
+        if (typeof contentVersionUrl === 'function') {
+            return contentVersionUrl(postId);
+        }
+        return typeof contentUrl === 'string' ? `${contentUrl}${postId}/version` : null;
+    }
+
+    fetchRelatedPostContent(postId) {
+        if (!this.canLoadContent()) {
+            return;
+        }
+        // Already showing or loading this post; reloading would only flicker
+        if (postId === this.displayedPostId && postId !== this.failedPostId) {
+            return;
+        }
+
+        const contentContainer = this.getContentContainer();
+        const detail = this.getNodeDetail(postId);
+
+        // Only the latest selection may write to the panel
+        if (this.contentRequest) {
+            this.contentRequest.abort();
+            this.contentRequest = null;
+        }
+
+        // Page code may render the content itself; nothing of ours is then
+        // on show, so choosing the aborted post again loads it
+        if (!this.emit('beforeContentLoad', detail, true)) {
+            this.displayedPostId = null;
+            contentContainer.removeAttribute('aria-busy');
+            return;
+        }
+
+        const controller = new AbortController();
+        const { signal } = controller;
+        this.contentRequest = controller;
+
+        contentContainer.innerHTML = '<div class="t2-preloader">Loading...</div>';
+        this.displayedPostId = postId;
+        this.failedPostId = null;
+
+        // contentUpdated reports a stored copy replaced by a newer version
+        const show = (processedContent, source, eventType = 'contentLoaded') => {
+            // A later selection has taken over the container
+            if (signal.aborted || this.displayedPostId !== postId) {
+                return;
+            }
+            contentContainer.innerHTML = processedContent.html;
+            contentContainer.removeAttribute('aria-busy');
+            if (this.renderer.mount) {
+                this.renderer.mount(contentContainer, this);
+            }
+            this.emit(eventType, { ...detail, source, container: contentContainer });
+        };
+
+        if (this.contentCache.has(postId)) {
+            // A superseded request may have left the panel marked busy
+            contentContainer.removeAttribute('aria-busy');
+            this.cacheStats.hits++;
+            const cachedContent = this.contentCache.get(postId);
+            // Use requestAnimationFrame for smoother rendering
+            requestAnimationFrame(() => show(cachedContent, 'memory'));
+            return Promise.resolve();
+        }
+
+        const name = this.getNodeName(postId);
+        contentContainer.setAttribute('aria-busy', 'true');
+        this.announce(`Loading ${name}`);
+
+        // An expired copy is not shown up front but beats an error message
+        let fallbackRecord = null;
+
+        return this.persistentCache.get(postId, { allowExpired: true })
+            .then(record => {
+                if (signal.aborted) {
+                    throw createAbortError();
+                }
+                if (record && record.expired) {
+                    fallbackRecord = record;
+                } else if (record) {
+                    // Show the stored copy straight away, then make sure it is current
+                    this.cacheStats.hits++;
+                    const storedContent = this.renderContent(record.data);
+                    this.contentCache.set(postId, storedContent);
+                    show(storedContent, 'stored');
+                    return this.revalidateContent(postId, record.version, signal).then(freshContent => {
+                        if (freshContent) {
+                            show(freshContent, 'network', 'contentUpdated');
+                        }
+                    });
+                }
+
+                this.cacheStats.misses++;
+                return this.requestPostContent(postId, signal).then(content => show(content, 'network'));
+            })
+            .then(() => {
+                this.announce(`${name} loaded`);
+            })
+            .catch(error => {
+                // Superseded by a newer selection, which owns the panel now
+                if (isAbortError(error)) {
+                    return;
+                }
+                console.error('Error fetching post content:', error);
+                if (this.displayedPostId !== postId) {
+                    return;
+                }
+
+                const type = getContentErrorType(error);
+                const retry = () => this.fetchRelatedPostContent(postId);
+                this.failedPostId = postId;
+                this.emit('contentError', { ...detail, error, errorType: type, usingFallback: Boolean(fallbackRecord) });
+
+                if (fallbackRecord) {
+                    show(this.renderContent(fallbackRecord.data), 'fallback');
+                    contentContainer.prepend(createContentErrorElement(type, retry, true));
+                    this.announce(`Showing a saved copy of ${name}`);
+                } else {
+                    contentContainer.innerHTML = '';
+                    contentContainer.appendChild(createContentErrorElement(type, retry));
+                    this.announce(`Could not load ${name}: ${CONTENT_ERRORS[type].title}`);
+                }
+            })
+            .finally(() => {
+                // Whoever aborted this request now owns the panel's busy state
+                if (this.contentRequest === controller) {
+                    contentContainer.removeAttribute('aria-busy');
+                    this.contentRequest = null;
+                }
+            });
+    }
+
+    /**
+     * Turn a content response into the HTML the panel shows, cleaned
+     * according to the sanitize option
+     * @param {Object} data - Response JSON: { content, version, title, link }
+     * @returns {{html: string}}
+     */
+    renderContent(data) {
+        const rendered = this.renderer.render(data, this);
+        const html = rendered === null || rendered === undefined ? '' : String(rendered);
+        const { sanitize } = this.options;
+        if (typeof sanitize === 'function') {
+            return { html: sanitize(html) };
+        }
+        return { html: sanitize ? sanitizeHTML(html) : html };
+    }
+
+    /**
+     * Fetch a post's content from the server and keep it in both caches.
+     * Callers asking for the same post share one request; it is only aborted
+     * once every caller has given up on it, and never when a caller passed
+     * no signal (preloads want the content whoever else loses interest).
+     * @param {*} postId
+     * @param {AbortSignal} [signal] - Aborting rejects this caller's promise
+     * @returns {Promise<Object>} Processed content
+     */
+    requestPostContent(postId, signal = null) {
+        let pending = this.pendingRequests.get(postId);
+        if (!pending) {
+            const controller = new AbortController();
+            pending = { controller, consumers: 0, keepAlive: false };
+            pending.promise = fetchJSON(this.getContentUrl(postId), controller.signal, this.constants)
+                .then(data => {
+                    const processedContent = this.renderContent(data);
+                    this.contentCache.set(postId, processedContent);
+                    this.persistentCache.set(postId, data);
+                    return processedContent;
+                })
+                .finally(() => {
+                    if (this.pendingRequests.get(postId) === pending) {
+                        this.pendingRequests.delete(postId);
+                    }
+                });
+            this.pendingRequests.set(postId, pending);
+        }
+
+        if (!signal) {
+            pending.keepAlive = true;
+            return pending.promise;
+        }
+
+        pending.consumers++;
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                pending.consumers--;
+                if (!pending.consumers && !pending.keepAlive) {
+                    pending.controller.abort();
+                }
+                reject(createAbortError());
+            };
+            if (signal.aborted) {
+                onAbort();
+                return;
+            }
+            signal.addEventListener('abort', onAbort, { once: true });
+            pending.promise.then(
+                content => {
+                    signal.removeEventListener('abort', onAbort);
+                    resolve(content);
+                },
+                error => {
+                    signal.removeEventListener('abort', onAbort);
+                    reject(error);
+                }
+            );
+        });
+    }
+
+    /**
+     * Ask the server for a post's current version and refetch the content if
+     * the stored copy is out of date
+     * @param {*} postId
+     * @param {*} version - Version of the stored copy
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Object|null>} Fresh content, or null if the stored copy
+     *   is current or the check could not be made
+     */
+    revalidateContent(postId, version, signal = null) {
+        const versionUrl = this.getContentVersionUrl(postId);
+        // Without a version route the only check is a fresh copy
+        const freshContent = !versionUrl
+            ? this.requestPostContent(postId, signal)
+            : fetchJSON(versionUrl, signal, this.constants).then(data => {
+                if (String(data.version) === String(version)) {
+                    return null;
+                }
+                console.log(`Post ID ${postId} changed from version ${version} to ${data.version}`);
+                return this.requestPostContent(postId, signal);
+            });
+
+        return freshContent
+            .catch(error => {
+                if (isAbortError(error)) {
+                    throw error;
+                }
+                // Offline or server trouble: the stored copy is better than nothing
+                console.warn(`Could not revalidate post ID: ${postId}`, error);
+                return null;
+            });
+    }
+
+    /**
+     * Forget this wheel's cached content, in memory and stored across visits
+     * @returns {Promise}
+     */
+    clearCache() {
+        this.contentCache.clear();
+        this.cacheStats.hits = 0;
+        this.cacheStats.misses = 0;
+        this.cacheStats.evictions = 0;
+        return this.persistentCache.clear();
+    }
+
+    /**
+     * Evict least recently used content until at most maxSize entries remain
+     * @param {number} [maxSize]
+     */
+    cleanupCache(maxSize = this.constants.CACHE.MAX_SIZE) {
+        this.contentCache.evict(maxSize);
+    }
+
+    /**
+     * Snapshot of the in-memory content cache
+     * @returns {{hits: number, misses: number, evictions: number, entries: number, bytes: number}}
+     */
+    getCacheStats() {
+        return {
+            ...this.cacheStats,
+            entries: this.contentCache.size,
+            bytes: this.contentCache.bytes
+        };
+    }
+
+    /**
+     * Queue posts to be fetched ahead of time, behind anything the user is
+     * closer to
+     * @param {Array} postIds
+     */
+    preloadCacheContent(postIds) {
+        if (!this.canLoadContent()) {
+            return;
+        }
+        this.preloadQueue.enqueue(postIds, PRELOAD_PRIORITY.BACKGROUND);
+    }
+
+    /**
+     * Put the neighbours of a selection at the front of the preload queue,
+     * dropping whatever was queued for the previous selection
+     * @param {Object} d - Selected hierarchy node
+     */
+    preloadAround(d) {
+        if (!this.canLoadContent()) {
+            return;
+        }
+        this.preloadQueue.cancel(PRELOAD_PRIORITY.SELECTION);
+        this.preloadQueue.cancel(PRELOAD_PRIORITY.HOVER);
+
+        const siblings = d.parent ? d.parent.children : [];
+        const children = d.children || d.collapsedChildren || [];
+        this.preloadQueue.enqueue(
+            [...siblings, ...children].filter(n => n !== d).map(n => n.data.id),
+            PRELOAD_PRIORITY.SELECTION
+        );
+    }
+
+    /**
+     * Load one post into the caches without showing it
+     * @param {*} postId
+     * @returns {Promise}
+     */
+    preloadPostContent(postId) {
+        // A stored copy is revalidated when it is shown, so no request is needed now
+        return this.persistentCache.get(postId)
+            .then(record => {
+                if (record) {
+                    return null;
+                }
+                console.log(`Pre-loading content for post ID: ${postId}`);
+                return this.requestPostContent(postId);
+            })
+            .catch(error => {
+                if (!isAbortError(error)) {
+                    console.error(`Error pre-loading content for post ID: ${postId}`, error);
+                }
+            });
+    }
+
+    loadRootNodeContent() {
+        if (!this.root || !this.root.data || !this.root.data.id) {
+            console.log('Root node data not available');
+            return;
+        }
+
+        console.log('Loading root node content:', this.root.data.id);
+        this.fetchRelatedPostContent(this.root.data.id);
+    }
+
+    loadSelectedContent() {
+        if (this.lastSelectedNodeId) {
+            this.fetchRelatedPostContent(this.lastSelectedNodeId);
+        } else {
+            this.loadRootNodeContent();
+        }
+    }
+
+    clearContentContainer() {
+        const contentContainer = this.getContentContainer();
+        // Nothing is on show, and a response still on its way must not appear
+        this.displayedPostId = null;
+        if (this.contentRequest) {
+            this.contentRequest.abort();
+            this.contentRequest = null;
+        }
+        if (contentContainer) {
+            contentContainer.innerHTML = '';
+            contentContainer.removeAttribute('aria-busy');
+            console.log('Content container cleared');
+        } else {
+            console.log('Content container not found');
+        }
+    }
+
+    destroy() {
+        this.stopRotation();
+        this.preloadQueue.destroy();
+        if (this.dataRequest) {
+            this.dataRequest.abort();
+            this.dataRequest = null;
+        }
+        if (this.contentRequest) {
+            this.contentRequest.abort();
+            this.contentRequest = null;
+        }
+        this.pendingRequests.forEach(pending => pending.controller.abort());
+        this.pendingRequests.clear();
+        if (this.onlineHandler) {
+            window.removeEventListener('online', this.onlineHandler);
+            this.onlineHandler = null;
+        }
+        if (this.stopWatchingVisibility) {
+            this.stopWatchingVisibility();
+            this.stopWatchingVisibility = null;
+        }
+        this.resizeManager.destroy();
+        this.transitionManager.cancelAll();
+        if (this.settingsPanel) {
+            this.settingsPanel.destroy();
+            this.settingsPanel = null;
+        }
+
+        // Clean up SVG using the cleanup function stored during creation
+        if (this.svg && !this.svg.empty()) {
+            const cleanupFn = this.svg.property("__cleanupFn");
+            if (typeof cleanupFn === "function") {
+                cleanupFn();
+            }
+            this.svg.selectAll("*").remove();
+            this.svg.on(".zoom", null).property("__zoom", null).property("__cleanupFn", null);
+        }
+        if (this.search) {
+            this.search.destroy();
+            this.search = null;
+        }
+        d3.select(this.container).selectAll(".zoom-controls").remove();
+        if (this.liveRegion) {
+            this.liveRegion.remove();
+            this.liveRegion = null;
+        }
+        if (this.popstateHandler) {
+            window.removeEventListener('popstate', this.popstateHandler);
+            this.popstateHandler = null;
+        }
+
+        // Put the container back as it was: its own styles, and its own <svg> or none
+        if (this.originalSvgAttributes) {
+            Array.from(this.svgElement.attributes).forEach(({ name }) => this.svgElement.removeAttribute(name));
+            this.originalSvgAttributes.forEach(({ name, value }) => this.svgElement.setAttribute(name, value));
+        } else {
+            this.svgElement.remove();
+        }
+        if (this.originalStyle === null) {
+            this.container.removeAttribute('style');
+        } else {
+            this.container.setAttribute('style', this.originalStyle);
+        }
+        this.container.classList.remove('is-rotating');
+        const contentContainer = this.getContentContainer();
+        if (contentContainer) {
+            contentContainer.removeAttribute('aria-busy');
+        }
+
+        this.data = null;
+        this.root = null;
+        this.focusId = null;
+        this.elements = null;
+        this.lastSelectedNodeId = null;
+        this.svg = null;
+        this.zoomContainer = null;
+        this.zoom = null;
+        navigationInstances.delete(this);
+
+        // Lets whoever keeps a reference to the instance drop it
+        this.emit('destroy', {});
+    }
+}
+
+
+
+/**
+ * Error for a content request that reached the server and failed, or
+ * never finished
+ */
+class RequestError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} details
+     * @param {number} [details.status] - HTTP status, 0 if there was no response
+     * @param {boolean} [details.timedOut]
+     */
+    constructor(message, { status = 0, timedOut = false } = {}) {
+        super(message);
+        this.name = 'RequestError';
+        this.status = status;
+        this.timedOut = timedOut;
+    }
+
+    // Worth another attempt: no response, too slow, throttled or a server fault
+    get transient() {
+        return this.status === 0 || this.status === 429 || this.status >= 500;
+    }
+}
+
+// What the content panel says for each kind of failure
+const CONTENT_ERRORS = {
+    notFound: {
+        title: 'Content not found',
+        message: 'This item may have been moved or deleted.'
+    },
+    offline: {
+        title: 'You are offline',
+        message: 'The content will load again when your connection returns.'
+    },
+    timeout: {
+        title: 'The server is taking too long',
+        message: 'The request timed out before the content arrived.'
+    },
+    server: {
+        title: 'Something went wrong',
+        message: 'The server could not provide this content right now.'
+    }
+};
+
+/**
+ * @param {Error} error - Failure from fetchJSON
+ * @returns {string} Key of CONTENT_ERRORS
+ */
+function getContentErrorType(error) {
+    if (navigator.onLine === false) {
+        return 'offline';
+    }
+    if (error instanceof RequestError) {
+        if (error.timedOut) {
+            return 'timeout';
+        }
+        if (error.status === 404) {
+            return 'notFound';
+        }
+        if (error.status === 0) {
+            return 'offline';
+        }
+    }
+    return 'server';
+}
+
+/**
+ * Build the message shown in place of content that failed to load
+ * @param {string} type - Key of CONTENT_ERRORS
+ * @param {Function} onRetry
+ * @param {boolean} [usingFallback] - A saved copy is shown below the message
+ * @returns {HTMLElement}
+ */
+function createContentErrorElement(type, onRetry, usingFallback = false) {
+    const { title, message } = CONTENT_ERRORS[type];
+
+    const element = document.createElement('div');
+    element.className = `content-error content-error--${type}`;
+    element.setAttribute('role', 'alert');
+    if (usingFallback) {
+        element.classList.add('content-error--fallback');
+    }
+
+    const heading = document.createElement('p');
+    heading.className = 'content-error__title';
+    heading.textContent = title;
+
+    const text = document.createElement('p');
+    text.className = 'content-error__message';
+    text.textContent = usingFallback ? 'Showing a saved copy, which may be out of date.' : message;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'content-error__retry';
+    button.textContent = 'Try again';
+    button.addEventListener('click', onRetry);
+
+    element.append(heading, text, button);
+    return element;
+}
+
+/**
+ * Fetch JSON with a per-attempt timeout and retries with exponential backoff
+ * for transient failures
+ * @param {string} url
+ * @param {AbortSignal} [signal] - Cancels the request and any pending retry
+ * @param {Object} constants
+ * @param {Function} [onResponse] - Called with the successful Response, e.g.
+ *   to read its headers, before the body is parsed
+ * @returns {Promise<Object>}
+ */
+function fetchJSON(url, signal = null, constants = CONSTANTS, onResponse = null) {
+    const { TIMEOUT, RETRIES, RETRY_DELAY } = constants.REQUEST;
+
+    const attempt = remaining => {
+        if (signal && signal.aborted) {
+            return Promise.reject(createAbortError());
+        }
+
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, TIMEOUT);
+        if (signal) {
+            signal.addEventListener('abort', abort, { once: true });
+        }
+
+        return fetch(url, { signal: controller.signal })
+            .then(response => {
+                if (!response.ok) {
+                    throw new RequestError(`Request failed with status ${response.status}`, { status: response.status });
+                }
+                if (onResponse) {
+                    onResponse(response);
+                }
+                return response.json();
+            })
+            .catch(error => {
+                if (timedOut) {
+                    throw new RequestError(`Request timed out after ${TIMEOUT}ms`, { timedOut: true });
+                }
+                if (isAbortError(error) || error instanceof RequestError) {
+                    throw error;
+                }
+                throw new RequestError(error.message || 'Network request failed');
+            })
+            .finally(() => {
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener('abort', abort);
+                }
+            })
+            .catch(error => {
+                if (!(error instanceof RequestError) || !error.transient || remaining <= 0) {
+                    throw error;
+                }
+                const delay = RETRY_DELAY * Math.pow(2, RETRIES - remaining);
+                console.warn(`Retrying ${url} in ${delay}ms`, error);
+                return wait(delay, signal).then(() => attempt(remaining - 1));
+            });
+    };
+
+    return attempt(RETRIES);
+}
+
+/**
+ * Delay calls until none has been made for a while
+ * @param {Function} fn
+ * @param {number} delay - Milliseconds
+ * @returns {Function} Debounced function with cancel()
+ */
+function debounce(fn, delay) {
+    let timer = null;
+    const debounced = (...args) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => fn(...args), delay);
+    };
+    debounced.cancel = () => clearTimeout(timer);
+    return debounced;
+}
+
+/**
+ * @param {number} ms
+ * @param {AbortSignal} [signal] - Rejects early when aborted
+ * @returns {Promise}
+ */
+function wait(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        };
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+function createAbortError() {
+    return new DOMException('The request was aborted', 'AbortError');
+}
+
+function isAbortError(error) {
+    return Boolean(error) && error.name === 'AbortError';
+}
+
+/**
+ * Data-source adapters. Each takes its settings and returns a function that
+ * resolves the hierarchy ({ id, name, info, children }) for an instance,
+ * giving up when the signal aborts because the instance was destroyed.
+ * Register more with DATA_SOURCES.name = settings => (navigation, signal) => Promise.
+ */
+export const DATA_SOURCES = {
+    // The fetch_hierarchical_posts admin-ajax action in circular-navigation.php
+    ajax: ({ ajaxUrl, nonce }) => (navigation, signal) => {
+        const body = new URLSearchParams({
+            action: 'fetch_hierarchical_posts',
+            post_type: navigation.options.postType || '',
+            nonce: nonce || navigation.options.nonce || ''
+        });
+        return fetch(ajaxUrl || navigation.options.ajaxUrl, { method: 'POST', body, credentials: 'same-origin', signal })
+            .then(response => {
+                if (!response.ok) {
+                    throw new RequestError(`AJAX error: ${response.status}`, { status: response.status });
+                }
+                return response.json();
+            })
+            .then(response => {
+                if (!response.success) {
+                    throw new Error(`Error in AJAX response: ${JSON.stringify(response)}`);
+                }
+                return response.data;
+            });
+    },
+
+    // A hierarchy passed as settings.data, or JSON printed into the page,
+    // saving a round trip
+    inline: ({ data, element }) => () => new Promise(resolve => {
+        resolve(data || (element ? JSON.parse(element.textContent) : null));
+    }),
+
+    // A static JSON file holding the hierarchy
+    url: ({ url }) => (navigation, signal) => fetchJSON(url, signal, navigation.constants),
+
+    // Flat posts from the WordPress REST API, assembled into a tree. The
+    // shortcode prints root and restBase; the defaults suit a site at the
+    // domain root with pretty permalinks and a post type without a rest_base.
+    rest: ({ restBase, root = '/wp-json/wp/v2/' }) => (navigation, signal) => {
+        const endpoint = `${root}${restBase || navigation.options.postType}`;
+        // With plain permalinks the route itself sits in ?rest_route=
+        const separator = endpoint.includes('?') ? '&' : '?';
+        const perPage = 100;
+        const fields = 'id,parent,menu_order,title,excerpt';
+        // WordPress rejects a page past the end, so stop at the count it reports
+        let totalPages = 1;
+        const readTotalPages = response => {
+            const reported = parseInt(response.headers.get('X-WP-TotalPages'), 10);
+            if (Number.isFinite(reported)) {
+                totalPages = reported;
+            }
+        };
+        const loadPage = (page, posts) =>
+            fetchJSON(`${endpoint}${separator}per_page=${perPage}&page=${page}&_fields=${fields}`, signal, navigation.constants,
+                page === 1 ? readTotalPages : null)
+                .then(batch => {
+                    const all = posts.concat(batch);
+                    return page >= totalPages ? all : loadPage(page + 1, all);
+                });
+        return loadPage(1, []).then(buildHierarchyFromPosts);
+    },
+
+    // Anything else: settings.load(navigation, signal) returns a Promise of the hierarchy
+    custom: ({ load }) => (navigation, signal) => Promise.resolve(load(navigation, signal))
+};
+
+/**
+ * Turn a dataSource option into a loader. Without one, JSON embedded in the
+ * container wins over the AJAX request.
+ * @param {string|Object|Function} [source]
+ * @param {HTMLElement} container - Read for inline JSON and data-source-* settings
+ * @returns {Function} (navigation, signal) => Promise of the hierarchy
+ */
+function resolveDataSource(source, container) {
+    if (typeof source === 'function') {
+        return DATA_SOURCES.custom({ load: source });
+    }
+
+    const inlineElement = container.querySelector('script.circular-navigation-data[type="application/json"]');
+    const settings = typeof source === 'object' && source !== null
+        ? source
+        : { type: source || (inlineElement ? 'inline' : 'ajax') };
+    const adapter = DATA_SOURCES[settings.type];
+    if (!adapter) {
+        throw new Error(`Unknown data source: ${settings.type}`);
+    }
+
+    return adapter({
+        element: inlineElement,
+        url: container.dataset.sourceUrl,
+        root: container.dataset.restRoot,
+        restBase: container.dataset.restBase,
+        ...settings
+    });
+}
+
+/**
+ * Build the hierarchy the PHP side returns from a flat list of REST posts:
+ * the first top-level post by menu order is the root
+ * @param {Array} posts - { id, parent, menu_order, title: { rendered }, excerpt: { rendered } }
+ * @returns {Object|null}
+ */
+function buildHierarchyFromPosts(posts) {
+    const byOrder = (a, b) => (a.menu_order || 0) - (b.menu_order || 0);
+    const childrenOf = new Map();
+    posts.forEach(post => {
+        const parent = post.parent || 0;
+        if (!childrenOf.has(parent)) {
+            childrenOf.set(parent, []);
+        }
+        childrenOf.get(parent).push(post);
+    });
+
+    const build = post => ({
+        name: decodeHTML(post.title ? post.title.rendered : ''),
+        id: post.id,
+        info: decodeHTML(post.excerpt ? post.excerpt.rendered : '').trim(),
+        children: (childrenOf.get(post.id) || []).sort(byOrder).map(build)
+    });
+
+    const roots = (childrenOf.get(0) || []).sort(byOrder);
+    return roots.length ? build(roots[0]) : null;
+}
+
+// Text content of rendered HTML such as REST titles, with entities decoded
+function decodeHTML(html) {
+    return new DOMParser().parseFromString(html, 'text/html').body.textContent;
+}
+
+// Preload order: lower values are fetched first
+const PRELOAD_PRIORITY = {
+    SELECTION: 0,   // Siblings and children of the selected node
+    HOVER: 1,       // Nodes the pointer or keyboard focus has rested on
+    BACKGROUND: 2   // Everything else in the tree
+};
+
+/**
+ * Fetches content ahead of time without getting in the way: a few requests
+ * at a time, started when the browser is idle, most relevant first, and
+ * paused while the page is hidden or the visitor has asked to save data.
+ */
+class PreloadQueue {
+    /**
+     * @param {Function} load - Called with a post id, returns a Promise
+     * @param {Function} isNeeded - Called with a post id just before loading;
+     *   false skips it, e.g. because it has been cached since it was queued
+     * @param {Object} constants
+     */
+    constructor(load, isNeeded, constants = CONSTANTS) {
+        this.load = load;
+        this.isNeeded = isNeeded;
+        this.constants = constants;
+        this.queue = [];
+        this.inFlight = new Set();
+        this.idleHandle = null;
+        this.order = 0;
+
+        this.handleChange = () => this.pump();
+        document.addEventListener('visibilitychange', this.handleChange);
+        if (navigator.connection && navigator.connection.addEventListener) {
+            navigator.connection.addEventListener('change', this.handleChange);
+        }
+    }
+
+    isPaused() {
+        return document.hidden || Boolean(navigator.connection && navigator.connection.saveData);
+    }
+
+    /**
+     * Add posts to the queue; a post already queued keeps the higher priority
+     * @param {Array} postIds
+     * @param {number} priority - One of PRELOAD_PRIORITY
+     */
+    enqueue(postIds, priority) {
+        postIds.forEach(postId => {
+            if (this.inFlight.has(postId)) {
+                return;
+            }
+            const queued = this.queue.find(item => item.postId === postId);
+            if (queued) {
+                queued.priority = Math.min(queued.priority, priority);
+            } else {
+                this.queue.push({ postId, priority, order: this.order++ });
+            }
+        });
+        this.queue.sort((a, b) => a.priority - b.priority || a.order - b.order);
+        this.pump();
+    }
+
+    /**
+     * Drop queued posts of one priority; requests already running finish
+     * @param {number} priority
+     */
+    cancel(priority) {
+        this.queue = this.queue.filter(item => item.priority !== priority);
+    }
+
+    pump() {
+        if (this.idleHandle !== null || !this.queue.length || this.isPaused() ||
+            this.inFlight.size >= this.constants.CACHE.PRELOAD_CONCURRENCY) {
+            return;
+        }
+
+        this.idleHandle = whenIdle(() => {
+            this.idleHandle = null;
+            if (this.isPaused()) {
+                return;
+            }
+
+            const item = this.queue.shift();
+            if (item && this.isNeeded(item.postId)) {
+                this.inFlight.add(item.postId);
+                Promise.resolve(this.load(item.postId))
+                    .catch(() => {})
+                    .then(() => {
+                        this.inFlight.delete(item.postId);
+                        this.pump();
+                    });
+            }
+            this.pump();
+        }, this.constants.CACHE.PRELOAD_IDLE_TIMEOUT);
+    }
+
+    destroy() {
+        this.queue = [];
+        if (this.idleHandle !== null) {
+            this.idleHandle.cancel();
+            this.idleHandle = null;
+        }
+        document.removeEventListener('visibilitychange', this.handleChange);
+        if (navigator.connection && navigator.connection.removeEventListener) {
+            navigator.connection.removeEventListener('change', this.handleChange);
+        }
+    }
+}
+
+/**
+ * requestIdleCallback with a setTimeout fallback for browsers without it
+ * @param {Function} callback
+ * @param {number} timeout - Run anyway after this many milliseconds
+ * @returns {{cancel: Function}}
+ */
+function whenIdle(callback, timeout) {
+    if (window.requestIdleCallback) {
+        const handle = window.requestIdleCallback(callback, { timeout });
+        return { cancel: () => window.cancelIdleCallback(handle) };
+    }
+    const handle = setTimeout(callback, 1);
+    return { cancel: () => clearTimeout(handle) };
+}
+
+/**
+ * In-memory least-recently-used cache of processed content, bounded by both
+ * CACHE.MAX_SIZE entries and roughly CACHE.MAX_BYTES of HTML. Map iteration
+ * follows insertion order, so re-inserting on every read keeps the least
+ * recently used entry first.
+ */
+class ContentCache {
+    /**
+     * @param {Object} constants - Limits are read on every write, so settings changes apply
+     * @param {Function} [onEvict] - Called with the key of each evicted entry
+     */
+    constructor(constants = CONSTANTS, onEvict = () => {}) {
+        this.constants = constants;
+        this.onEvict = onEvict;
+        this.entries = new Map();
+        this.bytes = 0;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    has(key) {
+        return this.entries.has(key);
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        entry.lastAccessed = Date.now();
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    set(key, value) {
+        this.delete(key);
+        // UTF-16 strings take about two bytes per character
+        const bytes = value.html.length * 2;
+        this.entries.set(key, { value, bytes, lastAccessed: Date.now() });
+        this.bytes += bytes;
+        this.evict();
+    }
+
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.bytes -= entry.bytes;
+            this.entries.delete(key);
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+        this.bytes = 0;
+    }
+
+    /**
+     * Drop least recently used entries until both limits are met. The newest
+     * entry is always kept, even if it alone is over the byte budget.
+     * @param {number} [maxEntries]
+     * @param {number} [maxBytes]
+     */
+    evict(maxEntries = this.constants.CACHE.MAX_SIZE, maxBytes = this.constants.CACHE.MAX_BYTES) {
+        while (this.entries.size > 1 && (this.entries.size > maxEntries || this.bytes > maxBytes)) {
+            const oldestKey = this.entries.keys().next().value;
+            this.delete(oldestKey);
+            this.onEvict(oldestKey);
+        }
+    }
+}
+
+/**
+ * Post content kept across page loads, in IndexedDB or, where that is not
+ * available (private browsing, blocked storage), in sessionStorage. Each
+ * record holds the raw content together with the post version it was
+ * fetched at, so callers can tell whether it is still current. Records are
+ * keyed by content URL rather than post id alone, so wheels on the same
+ * origin that load from different endpoints keep out of each other's way.
+ */
+class PersistentContentCache {
+    /**
+     * @param {Object} [constants]
+     * @param {Function} [getUrl] - Content URL of a post id
+     */
+    constructor(constants = CONSTANTS, getUrl = postId => String(postId)) {
+        this.constants = constants;
+        this.getUrl = getUrl;
+        this.dbName = 'circular-navigation';
+        this.storeName = 'content';
+        this.storagePrefix = 'circular-navigation-content:';
+        this.dbPromise = null;
+    }
+
+    /**
+     * @returns {Promise<IDBDatabase|null>} null when falling back to sessionStorage
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise(resolve => {
+                if (!window.indexedDB) {
+                    resolve(null);
+                    return;
+                }
+                try {
+                    const request = window.indexedDB.open(this.dbName, 2);
+                    request.onupgradeneeded = () => {
+                        // Version 1 keyed records by post id only
+                        if (request.result.objectStoreNames.contains(this.storeName)) {
+                            request.result.deleteObjectStore(this.storeName);
+                        }
+                        request.result.createObjectStore(this.storeName, { keyPath: 'url' });
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => resolve(null);
+                    request.onblocked = () => resolve(null);
+                } catch (error) {
+                    resolve(null);
+                }
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request against the object store
+     * @param {IDBDatabase} db
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Called with the store, returns an IDBRequest
+     * @returns {Promise<*>} The request's result
+     */
+    request(db, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * @param {*} postId
+     * @param {Object} [options]
+     * @param {boolean} [options.allowExpired] - Return a record past
+     *   PERSIST_MAX_AGE, flagged with expired: true, instead of dropping it
+     * @returns {Promise<Object|null>} { url, postId, version, data, storedAt },
+     *   or null when nothing usable is stored
+     */
+    get(postId, { allowExpired = false } = {}) {
+        const key = this.getUrl(postId);
+        return this.open()
+            .then(db => {
+                if (db) {
+                    return this.request(db, 'readonly', store => store.get(key));
+                }
+                const stored = window.sessionStorage.getItem(this.storagePrefix + key);
+                return stored ? JSON.parse(stored) : null;
+            })
+            .then(record => {
+                // Records from before the whole response was stored have no data
+                if (!record || !record.data) {
+                    return null;
+                }
+                if (Date.now() - record.storedAt > this.constants.CACHE.PERSIST_MAX_AGE) {
+                    if (allowExpired) {
+                        return { ...record, expired: true };
+                    }
+                    this.delete(postId);
+                    return null;
+                }
+                return record;
+            })
+            .catch(error => {
+                console.warn(`Could not read stored content for post ID: ${postId}`, error);
+                return null;
+            });
+    }
+
+    /**
+     * Store content for a post, replacing any other version of it
+     * @param {*} postId
+     * @param {Object} data - Response JSON as returned by the server; its
+     *   version is the post modified time
+     * @returns {Promise}
+     */
+    set(postId, data) {
+        const record = { url: this.getUrl(postId), postId, version: data.version, data, storedAt: Date.now() };
+        return this.open()
+            .then(db => {
+                if (db) {
+                    return this.request(db, 'readwrite', store => store.put(record));
+                }
+                window.sessionStorage.setItem(this.storagePrefix + record.url, JSON.stringify(record));
+                return null;
+            })
+            .catch(error => {
+                // Usually a full quota; the content is still cached in memory
+                console.warn(`Could not store content for post ID: ${postId}`, error);
+            });
+    }
+
+    delete(postId) {
+        const key = this.getUrl(postId);
+        return this.open()
+            .then(db => {
+                if (db) {
+                    return this.request(db, 'readwrite', store => store.delete(key));
+                }
+                window.sessionStorage.removeItem(this.storagePrefix + key);
+                return null;
+            })
+            .catch(error => {
+                console.warn(`Could not remove stored content for post ID: ${postId}`, error);
+            });
+    }
+
+    /**
+     * Remove the records this cache's URLs lead to, leaving other wheels' alone
+     * @returns {Promise}
+     */
+    clear() {
+        const isOwn = record => Boolean(record) && record.url === this.getUrl(record.postId);
+        return this.open()
+            .then(db => {
+                if (db) {
+                    return this.request(db, 'readwrite', store => {
+                        const request = store.openCursor();
+                        request.onsuccess = () => {
+                            const cursor = request.result;
+                            if (cursor) {
+                                if (isOwn(cursor.value)) {
+                                    cursor.delete();
+                                }
+                                cursor.continue();
+                            }
+                        };
+                        return request;
+                    });
+                }
+                Object.keys(window.sessionStorage)
+                    .filter(key => key.startsWith(this.storagePrefix))
+                    .filter(key => isOwn(JSON.parse(window.sessionStorage.getItem(key))))
+                    .forEach(key => window.sessionStorage.removeItem(key));
+                return null;
+            })
+            .catch(error => {
+                console.warn('Could not clear stored content', error);
+            });
+    }
+}
+
+// ResizeManager class to handle all resize-related logic
+class ResizeManager {
+    constructor(constants = CONSTANTS) {
+        this.constants = constants;
+        this.resizeObserver = null;
+        this.debounceTimeout = null;
+        this.isResizing = false;
+        this.lastDimensions = { width: 0, height: 0 };
+    }
+
+    init(container, callback) {
+        // Clean up existing observer if any
+        this.destroy();
+
+        // Create new resize observer
+        this.resizeObserver = new ResizeObserver(entries => {
+            for (const entry of entries) {
+                const { width, height } = entry.contentRect;
+                
+                // Only trigger if dimensions actually changed significantly (>1%)
+                const significantChange = 
+                    Math.abs(width - this.lastDimensions.width) > this.lastDimensions.width * 0.01 ||
+                    Math.abs(height - this.lastDimensions.height) > this.lastDimensions.height * 0.01;
+
+                if (significantChange) {
+                    this.handleResize(width, height, callback);
+                }
+            }
+        });
+
+        // Start observing
+        this.resizeObserver.observe(container);
+    }
+
+    handleResize(width, height, callback) {
+        if (this.debounceTimeout) {
+            clearTimeout(this.debounceTimeout);
+        }
+        this.isResizing = true;
+        this.debounceTimeout = setTimeout(() => {
+            this.isResizing = false;
+            this.lastDimensions = { width, height };
+            callback(this.calculateOptimalDimensions(width, height));
+        }, this.constants.RESIZE.DEBOUNCE_DELAY);
+    }
+
+    calculateOptimalDimensions(width, height) {
+        // Ensure minimum dimensions
+        width = Math.max(width, this.constants.MIN_WIDTH);
+        height = Math.max(height, this.constants.MIN_HEIGHT);
+
+        // Calculate dimensions maintaining aspect ratio
+        const currentRatio = width / height;
+        let finalWidth = width;
+        let finalHeight = height;
+
+        if (currentRatio > this.constants.ASPECT_RATIO) {
+            // Too wide - adjust width
+            finalWidth = height * this.constants.ASPECT_RATIO;
+        } else {
+            // Too tall - adjust height
+            finalHeight = width / this.constants.ASPECT_RATIO;
+        }
+
+        // Calculate optimal radius
+        const radius = Math.max(
+            Math.min(finalWidth, finalHeight) / 2 - this.constants.RADIUS_PADDING,
+            this.constants.MIN_RADIUS
+        );
+
+        // Determine breakpoint
+        const breakpoint = this.getBreakpoint(width);
+
+        return {
+            width: finalWidth,
+            height: finalHeight,
+            radius,
+            breakpoint,
+            textSizes: this.constants.TEXT_SIZES[breakpoint]
+        };
+    }
+
+    getBreakpoint(width) {
+        if (width < this.constants.BREAKPOINTS.SMALL) return 'SMALL';
+        if (width < this.constants.BREAKPOINTS.MEDIUM) return 'MEDIUM';
+        return 'LARGE';
+    }
+
+    destroy() {
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        if (this.debounceTimeout) {
+            clearTimeout(this.debounceTimeout);
+            this.debounceTimeout = null;
+        }
+    }
+}
+
+// Utility Functions
+function getCSSVariable(variable) {
+    return getComputedStyle(document.documentElement)
+        .getPropertyValue(variable)
+        .trim();
+}
+
+
+function project(x, y) {
+    const angle = x - Math.PI / 2;
+    return [y * Math.cos(angle), y * Math.sin(angle)];
+}
+
+// Named positions accepted wherever an angle option is configured
+const ANGLE_KEYWORDS = {
+    top: 0,
+    right: 90,
+    bottom: 180,
+    left: 270
+};
+
+/**
+ * Read an angle option given in degrees clockwise from the top, or as one
+ * of ANGLE_KEYWORDS
+ * @param {string|number|undefined} value
+ * @param {number} fallback - Degrees used when value is missing or invalid
+ * @returns {number} Degrees
+ */
+function parseAngle(value, fallback) {
+    if (value === undefined || value === null || value === '') {
+        return fallback;
+    }
+    if (Object.prototype.hasOwnProperty.call(ANGLE_KEYWORDS, value)) {
+        return ANGLE_KEYWORDS[value];
+    }
+    const degrees = Number(value);
+    return Number.isFinite(degrees) ? degrees : fallback;
+}
+
+/**
+ * Shortest signed equivalent of an angle, in (-π, π]
+ * @param {number} angle - Radians
+ * @returns {number}
+ */
+function wrapAngle(angle) {
+    const turn = 2 * Math.PI;
+    const wrapped = ((angle % turn) + turn) % turn;
+    return wrapped > Math.PI ? wrapped - turn : wrapped;
+}
+
+function isActivePath(link, selectedNode) {
+    // Selecting the focus root lights up the whole wheel
+    if (!selectedNode.parent) {
+        return true;
+    }
+    // Otherwise the path down from the focus root plus the selection's own children
+    return link.source === selectedNode || selectedNode.ancestors().includes(link.target);
+}
+
+/**
+ * Whether a node drawn this many rings out from the focus has descendants
+ * the wheel cannot show, so that selecting it has to re-root the wheel.
+ * The one rule behind both clicks and getFocusIdForPath().
+ * @param {Object} data - Raw node
+ * @param {number} depth - Its depth below the focus
+ * @returns {boolean}
+ */
+function hidesDescendants(data, depth) {
+    const children = data.children || [];
+    if (depth === 1) {
+        return children.some(child => child.children && child.children.length > 0);
+    }
+    return depth >= 2 && children.length > 0;
+}
+
+/**
+ * Whether selecting a node should re-root the wheel, i.e. it has
+ * descendants that are not visible at the current focus
+ * @param {Object} node - d3 hierarchy node from processData
+ * @returns {boolean}
+ */
+function canDrillDown(node) {
+    return hidesDescendants(node.data, node.depth);
+}
+
+/**
+ * Depth-first search of the raw hierarchy
+ * @param {Object} data - Raw hierarchy as returned by fetch_hierarchical_posts
+ * @param {Function} predicate - Called with each raw node
+ * @returns {Object|null} The first matching node
+ */
+function findDataNode(data, predicate) {
+    if (predicate(data)) {
+        return data;
+    }
+    for (const child of data.children || []) {
+        const match = findDataNode(child, predicate);
+        if (match) {
+            return match;
+        }
+    }
+    return null;
+}
+
+/**
+ * Choose the focus root that shows a node the way navigating to it would:
+ * walk down from the top, re-rooting wherever selecting a node would
+ * @param {Object[]} path - Raw nodes from the top of the tree to the target
+ * @returns {*} Focus id, or null for the top of the tree
+ */
+function getFocusIdForPath(path) {
+    let focusIndex = 0;
+    for (let i = 1; i < path.length; i++) {
+        if (hidesDescendants(path[i], i - focusIndex)) {
+            focusIndex = i;
+        }
+    }
+    return focusIndex > 0 ? path[focusIndex].id : null;
+}
+
+/**
+ * Find the chain of raw data nodes from the top of the tree down to an id
+ * @param {Object} data - Raw hierarchy as returned by fetch_hierarchical_posts
+ * @param {*} id - Post id to look for
+ * @returns {Object[]} Path including both ends, or an empty array if not found
+ */
+function findDataPath(data, id) {
+    if (!data) {
+        return [];
+    }
+    if (data.id === id) {
+        return [data];
+    }
+    for (const child of data.children || []) {
+        const path = findDataPath(child, id);
+        if (path.length) {
+            return [data, ...path];
+        }
+    }
+    return [];
+}
+
+function isSiblingPath(link, selectedNode) {
+    if (selectedNode.depth === 1) {
+        return link.source === selectedNode.parent && link.target !== selectedNode ||
+               (link.source !== selectedNode.parent && link.source.parent === selectedNode.parent && link.source !== selectedNode);
+    } else if (selectedNode.depth === 2) {
+        return (link.source === selectedNode.parent && link.target !== selectedNode) ||
+               (link.source !== selectedNode.parent.parent && link.target.depth === 2 && link.target !== selectedNode);
+    }
+    return false;
+}
+
+
+// Create a settings panel class to manage the UI and updates
+class SettingsPanel {
+    constructor(constants, updateCallback, { container = document.body, getData = () => null } = {}) {
+        this.constants = constants;
+        this.updateCallback = updateCallback;
+        this.container = container;
+        this.getData = getData;
+        this.panel = null;
+        this.toggleButton = null;
+        this.resizeHandler = null;
+        this.isVisible = false;
+        
+        // Define settings with flat structure
+        this.sections = [
+            {
+                title: 'Basic Dimensions',
+                settings: [
+                    {
+                        label: 'Minimum Width',
+                        path: 'MIN_WIDTH',
+                        type: 'number',
+                        min: 200,
+                        max: 2000,
+                        step: 50
+                    },
+                    {
+                        label: 'Minimum Height',
+                        path: 'MIN_HEIGHT',
+                        type: 'number',
+                        min: 200,
+                        max: 2000,
+                        step: 50
+                    },
+                    {
+                        label: 'Aspect Ratio',
+                        path: 'ASPECT_RATIO',
+                        type: 'number',
+                        min: 0.5,
+                        max: 2,
+                        step: 0.1
                     }
                 ]
             },
@@ -1199,18 +4044,18 @@ class SettingsPanel {
         updateHighlighting();
 
         // Add resize listener with debounce
-        window.addEventListener('resize', _.debounce(updateHighlighting, 250));
+        this.resizeHandler = debounce(updateHighlighting, 250);
+        window.addEventListener('resize', this.resizeHandler);
     }
 
     updateVisualization() {
-        const container = document.querySelector(".circular-navigation-container");
-        if (!container) return;
+        if (!this.container) return;
 
         const responsiveConstants = new ResponsiveConstants(this.constants);
         const dimensions = responsiveConstants.calculate(
-            container.clientWidth,
-            container.clientHeight,
-            window.currentData
+            this.container.clientWidth,
+            this.container.clientHeight,
+            this.getData()
         );
 
         this.updateCallback(dimensions);
@@ -1221,7 +4066,8 @@ class SettingsPanel {
         button.className = 'settings-toggle';
         button.innerHTML = '⚙️';
         button.addEventListener('click', () => this.togglePanel());
-        document.body.appendChild(button);
+        this.container.appendChild(button);
+        this.toggleButton = button;
     }
 
     togglePanel() {
@@ -1233,59 +4079,49 @@ class SettingsPanel {
         if (this.panel) {
             this.panel.remove();
         }
-        const toggleButton = document.querySelector('.settings-toggle');
-        if (toggleButton) {
-            toggleButton.remove();
+        if (this.toggleButton) {
+            this.toggleButton.remove();
+        }
+        if (this.resizeHandler) {
+            window.removeEventListener('resize', this.resizeHandler);
+            this.resizeHandler.cancel();
         }
     }
 }
 
 /**
  * Initialize the settings panel with visualization update handling
- * @param {Object} constants - The CONSTANTS configuration object
+ * @param {CircularNavigation} navigation - The wheel the panel controls
  * @returns {SettingsPanel} The initialized settings panel instance
  */
-function initializeSettingsPanel(constants) {
+function initializeSettingsPanel(navigation) {
+    const constants = navigation && navigation.constants;
+
     // Validate input
     if (!constants || typeof constants !== 'object') {
         throw new Error('Invalid constants configuration provided');
     }
 
-    // Store reference to previous panel for cleanup
-    const existingPanel = window.currentSettingsPanel;
-    if (existingPanel) {
-        existingPanel.destroy();
-    }
-
-    // Create new settings panel instance
-    const settingsPanel = new SettingsPanel(constants, (newConstants) => {
+    // Create new settings panel instance editing this wheel's own constants
+    const settingsPanel = new SettingsPanel(constants, () => {
         try {
-            // Update the visualization with new settings
-            Object.assign(constants, newConstants);
-            
-            // Get current data and container
-            const currentData = window.currentData;
-            const container = document.querySelector(".circular-navigation-container");
-            
+            const container = navigation.container;
+
             if (!container) {
                 throw new Error("Visualization container not found");
             }
-            if (!currentData) {
+            if (!navigation.data) {
                 throw new Error("Visualization data not found");
             }
 
-            // Create managers
-            const resizeManager = new ResizeManager();
-            const transitionManager = new TransitionManager();
-
             // Calculate dimensions
-            const dimensions = resizeManager.calculateOptimalDimensions(
+            const dimensions = navigation.resizeManager.calculateOptimalDimensions(
                 container.clientWidth || constants.MIN_WIDTH,
                 container.clientHeight || constants.MIN_HEIGHT
             );
 
             // Update visualization
-            updateVisualization(currentData, dimensions, transitionManager);
+            navigation.updateVisualization(dimensions);
 
         } catch (error) {
             console.error('Error updating visualization:', error);
@@ -1294,11 +4130,11 @@ function initializeSettingsPanel(constants) {
                 'error'
             );
         }
+    }, {
+        container: navigation.container,
+        getData: () => navigation.getFocusData()
     });
 
-    // Store reference for future cleanup
-    window.currentSettingsPanel = settingsPanel;
-
     // Initialize panel
     try {
         settingsPanel.initialize();
@@ -1310,94 +4146,285 @@ function initializeSettingsPanel(constants) {
     return settingsPanel;
 }
 
-// TransitionManager class to handle smooth transitions
-class TransitionManager {
-    constructor() {
-        this.currentTransitions = new Set();
+/**
+ * Lowercase and strip accents so "Éthique" matches "ethique"
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeSearchText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+/**
+ * Score how well a query matches a piece of text. Substring matches rank
+ * above scattered (subsequence) matches, and matches at the start of a word
+ * rank above matches in the middle of one.
+ * @param {string} query
+ * @param {string} text
+ * @returns {number} 0 when the query does not match at all
+ */
+function fuzzyMatchScore(query, text) {
+    const needle = normalizeSearchText(query).trim();
+    const haystack = normalizeSearchText(text);
+    if (!needle || !haystack) {
+        return 0;
     }
 
-    transition(selection, duration = CONSTANTS.TRANSITION_DURATION) {
-        const t = selection
-            .transition()
-            .duration(duration)
-            .ease(d3.easeQuadInOut);
-            
-        this.currentTransitions.add(t);
-        
-        t.on('end', () => this.currentTransitions.delete(t));
-        
-        return t;
+    const isWordStart = index => index === 0 || /[^a-z0-9]/.test(haystack[index - 1]);
+
+    const substringIndex = haystack.indexOf(needle);
+    if (substringIndex !== -1) {
+        return 100 + (isWordStart(substringIndex) ? 50 : 0) - Math.min(substringIndex, 50);
     }
 
-    cancelAll() {
-        this.currentTransitions.forEach(t => t.interrupt());
-        this.currentTransitions.clear();
+    // Every query character must appear in order; consecutive runs score higher
+    let score = 0;
+    let position = 0;
+    let streak = 0;
+    for (const char of needle.replace(/\s+/g, '')) {
+        const found = haystack.indexOf(char, position);
+        if (found === -1) {
+            return 0;
+        }
+        streak = found === position ? streak + 1 : 0;
+        score += 1 + streak * 2 + (isWordStart(found) ? 3 : 0);
+        position = found + 1;
     }
+    return score;
 }
 
-function setupVisualization(data, dimensions, transitionManager) {
-    const { width, height, radius, textSizes } = dimensions;
+/**
+ * Search field with an autocomplete list for finding nodes on a wheel.
+ * Follows the ARIA combobox pattern so it works from the keyboard.
+ */
+class NodeSearch {
+    /**
+     * @param {HTMLElement} host - Element the search field is appended to
+     * @param {Object} callbacks
+     * @param {Function} callbacks.getEntries - Returns [{ id, name, info, context }] to search
+     * @param {Function} callbacks.onResults - Called with the matching ids (Set) or null when cleared
+     * @param {Function} callbacks.onSelect - Called with (id, event) when a result is chosen
+     * @param {number} [maxResults=8] - Length of the autocomplete list
+     */
+    constructor(host, { getEntries, onResults, onSelect }, maxResults = 8) {
+        this.host = host;
+        this.getEntries = getEntries;
+        this.onResults = onResults;
+        this.onSelect = onSelect;
+        this.maxResults = maxResults;
+        this.element = null;
+        this.input = null;
+        this.list = null;
+        this.results = [];
+        this.activeIndex = -1;
+        this.listId = `circular-nav-search-${NodeSearch.nextId++}`;
+    }
+
+    initialize() {
+        this.element = document.createElement('div');
+        this.element.className = 'circular-nav-search';
+
+        this.input = document.createElement('input');
+        this.input.type = 'search';
+        this.input.className = 'circular-nav-search-input';
+        this.input.placeholder = 'Search…';
+        this.input.setAttribute('aria-label', 'Search the navigation');
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.setAttribute('aria-controls', this.listId);
+
+        this.list = document.createElement('ul');
+        this.list.className = 'circular-nav-search-results';
+        this.list.id = this.listId;
+        this.list.setAttribute('role', 'listbox');
+        this.list.hidden = true;
+
+        this.input.addEventListener('input', () => this.search(this.input.value));
+        this.input.addEventListener('keydown', event => this.handleKeydown(event));
+        this.input.addEventListener('blur', () => {
+            // Let a click on a result land before the list disappears
+            setTimeout(() => this.closeList(), 150);
+        });
 
-    // Clear any existing SVG content
-    d3.select("#circular-nav-svg").selectAll("*").remove();
+        this.element.appendChild(this.input);
+        this.element.appendChild(this.list);
+        this.host.appendChild(this.element);
+    }
 
-    // Create initial SVG and zoom container
-    const { svg, zoomContainer } = createSVG(width, height);
+    search(query) {
+        if (!query.trim()) {
+            this.clear(false);
+            return;
+        }
 
-    // Add a responsive resize behavior
-    svg.attr("preserveAspectRatio", "xMidYMid meet");
+        this.results = this.getEntries()
+            .map(entry => ({
+                entry,
+                // The excerpt only counts for literal matches, otherwise short
+                // queries would match almost every paragraph
+                score: Math.max(
+                    fuzzyMatchScore(query, entry.name),
+                    normalizeSearchText(entry.info).includes(normalizeSearchText(query).trim()) ? 40 : 0
+                )
+            }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .map(result => result.entry);
+
+        this.activeIndex = this.results.length ? 0 : -1;
+        this.renderList();
+        this.onResults(new Set(this.results.map(entry => entry.id)));
+    }
 
-    // Add zoom controls
-    addZoomControls(svg, zoomContainer);
+    renderList() {
+        this.list.innerHTML = '';
+
+        this.results.slice(0, this.maxResults).forEach((entry, index) => {
+            const option = document.createElement('li');
+            option.id = `${this.listId}-${index}`;
+            option.className = 'circular-nav-search-result';
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', String(index === this.activeIndex));
+
+            const name = document.createElement('span');
+            name.className = 'circular-nav-search-name';
+            name.textContent = entry.name;
+            option.appendChild(name);
+
+            if (entry.context) {
+                const context = document.createElement('span');
+                context.className = 'circular-nav-search-context';
+                context.textContent = entry.context;
+                option.appendChild(context);
+            }
 
-    // Create initial visualization
-    updateVisualization(data, dimensions, transitionManager);
-}
+            // mousedown fires before the input blurs
+            option.addEventListener('mousedown', event => {
+                event.preventDefault();
+                this.choose(index, event);
+            });
+            this.list.appendChild(option);
+        });
 
-function updateVisualization(data, dimensions, transitionManager) {
-    const { width, height, radius, textSizes } = dimensions;
-    
-    // Get existing elements
-    const svg = d3.select("#circular-nav-svg");
-    let zoomContainer = svg.select(".zoom-container");
-    
-    // Create zoom container if it doesn't exist
-    if (zoomContainer.empty()) {
-        zoomContainer = svg.append("g").attr("class", "zoom-container");
+        const isOpen = this.list.children.length > 0;
+        this.list.hidden = !isOpen;
+        this.input.setAttribute('aria-expanded', String(isOpen));
+        if (isOpen && this.activeIndex >= 0) {
+            this.input.setAttribute('aria-activedescendant', `${this.listId}-${this.activeIndex}`);
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
     }
 
-    // Update viewBox
-    transitionManager.transition(svg)
-        .attr("viewBox", [-width / 2, -height / 2, width, height]);
+    handleKeydown(event) {
+        const visibleCount = Math.min(this.results.length, this.maxResults);
+
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                if (!visibleCount) return;
+                event.preventDefault();
+                this.activeIndex = (this.activeIndex + (event.key === 'ArrowDown' ? 1 : -1) + visibleCount) % visibleCount;
+                this.renderList();
+                break;
+            case 'Enter':
+                if (this.activeIndex < 0) return;
+                event.preventDefault();
+                this.choose(this.activeIndex, event);
+                break;
+            case 'Escape':
+                event.preventDefault();
+                this.clear(true);
+                break;
+        }
+    }
 
-    // Process data with new dimensions
-    const root = processData(data, radius);
+    choose(index, event) {
+        const entry = this.results[index];
+        if (!entry) {
+            return;
+        }
+        this.clear(true);
+        this.onSelect(entry.id, event);
+    }
 
-    // Update or create elements with transitions
-    updateElements(root, dimensions, transitionManager);
-}
+    /**
+     * Run the current query again, e.g. after the entries have changed,
+     * without opening the list if it was closed
+     */
+    refresh() {
+        if (!this.input || !this.input.value.trim()) {
+            return;
+        }
+        const wasOpen = !this.list.hidden;
+        this.search(this.input.value);
+        if (!wasOpen) {
+            this.closeList();
+        }
+    }
 
+    closeList() {
+        if (!this.list) return;
+        this.list.hidden = true;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
 
-// Enhanced cleanup function
-function cleanup() {
-    if (window.cleanupCircularNavigation) {
-        window.cleanupCircularNavigation();
+    /**
+     * Reset results and highlighting
+     * @param {boolean} resetInput - Also empty the text field
+     */
+    clear(resetInput) {
+        if (resetInput && this.input) {
+            this.input.value = '';
+        }
+        this.results = [];
+        this.activeIndex = -1;
+        if (this.list) {
+            this.list.innerHTML = '';
+            this.closeList();
+        }
+        this.onResults(null);
     }
-    
-    // Clear global variables
-    window.currentData = null;
-    window.lastSelectedNodeId = null;
-    
-    // Clean up SVG and get the cleanup function
-    const svg = d3.select("#circular-nav-svg");
-    if (!svg.empty()) {
-        // Get the cleanup function we stored during creation
-        const cleanupFn = svg.property("__cleanupFn");
-        if (typeof cleanupFn === "function") {
-            cleanupFn();
+
+    destroy() {
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
         }
-        svg.selectAll("*").remove();
-        svg.remove();
+    }
+}
+
+NodeSearch.nextId = 1;
+
+// TransitionManager class to handle smooth transitions
+class TransitionManager {
+    constructor(constants = CONSTANTS) {
+        this.constants = constants;
+        this.currentTransitions = new Map();  // transition -> name, for interrupting
+    }
+
+    transition(selection, duration = this.constants.TRANSITION_DURATION, name = null) {
+        const t = selection
+            .transition(name)
+            .duration(duration)
+            .ease(d3.easeQuadInOut);
+            
+        this.currentTransitions.set(t, name);
+        
+        t.on('end', () => this.currentTransitions.delete(t));
+        
+        return t;
+    }
+
+    cancelAll() {
+        // Transitions cannot be interrupted themselves, only their selections
+        this.currentTransitions.forEach((name, t) => t.selection().interrupt(name));
+        this.currentTransitions.clear();
     }
 }
 
@@ -1416,68 +4443,18 @@ function updateLinks(svg, root, linkGenerator) {
         .style("opacity", d => (d.source.depth === 0) ? 1 : 0);
 }
 
-function updateElements(root, dimensions, transitionManager) {
-    const { radius, textSizes } = dimensions;
-    const svg = d3.select("#circular-nav-svg");
-    const zoomContainer = svg.select(".zoom-container");
-
-    // Clear existing content
-    zoomContainer.selectAll("*").remove();
-
-    // Create outer circle
-    zoomContainer.append("circle")
-        .attr("r", radius + CONSTANTS.DEPTH_TWO_RADIUS)
-        .attr("fill", "none")
-        .attr("stroke", getCSSVariable('--border-default'));
-
-    // Create new elements
-    const linkGenerator = createLinkGenerator(radius);
-    const link = createLinks(zoomContainer, root, linkGenerator);
-    const node = createNodes(zoomContainer, root);
-    const { outerIndicators, outerTexts } = createOuterElements(zoomContainer, root, radius);
-
-    // Update sizes and positions
-    updateNodeSizes(node);
-    positionNodes(node, root);
-
-    // Set up event handlers
-    const clickHandler = (event, d) => handleNodeClick(event, d, node, outerIndicators, outerTexts, link, root);
-    
-    node.on("click", clickHandler);
-    outerIndicators.on("click", clickHandler);
-    outerTexts.on("click", clickHandler);
-
-    // Update text sizes based on breakpoint
-    node.selectAll(".node-content")
-        .style("font-size", d => {
-            if (d.depth === 0) return `${textSizes.CENTER}px`;
-            if (d.depth === 1) return `${textSizes.DEPTH_ONE}px`;
-            return `${textSizes.DEPTH_TWO}px`;
-        });
-
-    // If there was a previously selected node, reselect it
-    if (window.lastSelectedNodeId) {
-        const selectedNode = root.descendants().find(d => d.data.id === window.lastSelectedNodeId);
-        if (selectedNode) {
-            handleNodeClick(null, selectedNode, node, outerIndicators, outerTexts, link, root);
-        }
-    }
-
-    return { link, node, outerIndicators, outerTexts };
-}
-
-function createSVG(width, height) {
+function createSVG(containerElement, width, height) {
     // Ensure we have valid dimensions
     const safeWidth = Math.max(width || 800, 800);
     const safeHeight = Math.max(height || 600, Math.min(600, window.innerHeight * 0.7));
     
-    let svg = d3.select("#circular-nav-svg");
-    const container = d3.select(".circular-navigation-container");
+    const container = d3.select(containerElement);
+    let svg = container.select("svg");
     
     if (svg.empty()) {
         svg = container
             .append("svg")
-            .attr("id", "circular-nav-svg");
+            .attr("class", "circular-nav-svg");
     }
     
     // Set container style to enforce max height
@@ -1554,8 +4531,65 @@ function createSVG(width, height) {
 }
 
 
+/**
+ * Whether the user asked the OS to minimise non-essential motion
+ * @returns {boolean}
+ */
+function prefersReducedMotion() {
+    return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * Attach d3.zoom to the SVG: wheel/trackpad zoom, drag to pan and pinch,
+ * bounded by CONSTANTS.ZOOM and applied to the zoom container
+ * @param {d3.Selection} svg
+ * @param {Object} constants
+ * @returns {d3.ZoomBehavior}
+ */
+function setupZoom(svg, constants = CONSTANTS) {
+    const zoom = d3.zoom()
+        .scaleExtent([constants.ZOOM.MIN_SCALE, constants.ZOOM.MAX_SCALE])
+        // Small tolerance so a slightly shaky tap still counts as a click
+        .clickDistance(4)
+        .on("zoom", event => {
+            svg.select(".zoom-container").attr("transform", event.transform);
+        });
+
+    svg.call(zoom)
+        // Double clicks select nodes; don't also zoom on them
+        .on("dblclick.zoom", null);
+
+    return zoom;
+}
+
+/**
+ * Transform that fits everything drawn in the zoom container into the viewBox
+ * @param {d3.Selection} svg
+ * @param {Object} constants
+ * @returns {d3.ZoomTransform}
+ */
+function getFitTransform(svg, constants = CONSTANTS) {
+    const bounds = svg.select(".zoom-container").node().getBBox();
+    const [x, y, width, height] = String(svg.attr("viewBox")).split(/[\s,]+/).map(Number);
+    if (!bounds.width || !bounds.height || !width || !height) {
+        return d3.zoomIdentity;
+    }
+
+    const padding = 0.95;
+    const scale = Math.max(
+        constants.ZOOM.MIN_SCALE,
+        Math.min(constants.ZOOM.MAX_SCALE, Math.min(width / bounds.width, height / bounds.height) * padding)
+    );
+    const centerX = bounds.x + bounds.width / 2;
+    const centerY = bounds.y + bounds.height / 2;
+
+    return d3.zoomIdentity
+        .translate(x + width / 2 - centerX * scale, y + height / 2 - centerY * scale)
+        .scale(scale);
+}
+
 // Add zoom control buttons
-function addZoomControls(svg, zoomContainer) {
+function addZoomControls(svg, zoom, constants = CONSTANTS) {
     const controls = d3.select(svg.node().parentNode)
         .append("div")
         .attr("class", "zoom-controls")
@@ -1563,85 +4597,339 @@ function addZoomControls(svg, zoomContainer) {
         .style("bottom", "5px")
         .style("left", "5px");
 
-    
-    
-    let currentScale = 1;
-    
-    const zoom = d3.zoom()
-    .scaleExtent([CONSTANTS.ZOOM.MIN_SCALE, CONSTANTS.ZOOM.MAX_SCALE])[1]
+    const duration = prefersReducedMotion() ? 0 : 250;
+    const animate = () => svg.transition("zoom").duration(duration);
 
     controls.append("button")
+        .attr("type", "button")
+        .attr("aria-label", "Zoom in")
         .text("+")
         .on("click", () => {
-            currentScale = Math.min(3, currentScale * 1.2);
-            zoomContainer.transition()
-                .duration(250)
-                .attr("transform", `scale(${currentScale})`);
+            zoom.scaleBy(animate(), constants.ZOOM.STEP_INCREASE);
         });
         
     controls.append("button")
+        .attr("type", "button")
+        .attr("aria-label", "Reset zoom")
         .text("1x")
         .on("click", () => {
-            currentScale = 1;
-            zoomContainer.transition()
-                .duration(250)
-                .attr("transform", "scale(1)");
+            zoom.transform(animate(), d3.zoomIdentity);
         });
 
     controls.append("button")
+        .attr("type", "button")
+        .attr("aria-label", "Zoom out")
         .text("-")
         .on("click", () => {
-            currentScale = Math.max(0.5, currentScale * 0.8);
-            zoomContainer.transition()
-                .duration(250)
-                .attr("transform", `scale(${currentScale})`);
+            zoom.scaleBy(animate(), constants.ZOOM.STEP_DECREASE);
         });
 
+    controls.append("button")
+        .attr("type", "button")
+        .attr("aria-label", "Fit to view")
+        .text("Fit")
+        .on("click", () => {
+            zoom.transform(animate(), getFitTransform(svg, constants));
+        });
 
+    return controls;
 }
 
 // Update the processData function to handle minimum radius
-function processData(data, radius) {
+/**
+ * Lay out the focus subtree on the two rings
+ * @param {Object} data - Focus root data
+ * @param {number} radius
+ * @param {Object} constants
+ * @param {Object} [layout]
+ * @param {number} [layout.rotation=0] - Dial offset in radians added to every angle
+ * @param {number} [layout.leafSpacing=0] - Smallest arc, in px, an outer node may be given
+ * @param {Map} [layout.labelSizes] - Measured outer label sizes by node id
+ * @param {number} [layout.sectorGap] - Degrees between branch sectors, defaults to SECTORS.GAP
+ * @returns {d3.HierarchyNode} Root with x (angle) and y (radius) set; the
+ *   unrotated angle is kept in layoutX, the outer ring setup in outerRings
+ *   and each depth-1 node's angular range in sector
+ */
+function processData(data, radius, constants = CONSTANTS, {
+    rotation = 0,
+    leafSpacing = 0,
+    labelSizes = null,
+    sectorGap = constants.SECTORS.GAP
+} = {}) {
+    // `data` is the current focus root, so depths below are relative to it
     const root = d3.hierarchy(data);
+
+    // Only two rings fit on the wheel; park anything deeper on the outer
+    // ring nodes so they can be drilled into later
+    root.each(node => {
+        if (node.depth === 2 && node.children) {
+            node.collapsedChildren = node.children;
+            node.children = undefined;
+        }
+    });
+
     const tree = d3.tree()
-        .size([2 * Math.PI, Math.max(radius * 0.8, CONSTANTS.MIN_RADIUS * 0.8)]) // Ensure tree radius is also bounded
+        .size([2 * Math.PI, Math.max(radius * 0.8, constants.MIN_RADIUS * 0.8)]) // Ensure tree radius is also bounded
         .separation((a, b) => (a.parent == b.parent ? 1 : 2) / a.depth);
 
     tree(root);
 
     const depthTwoNodes = root.descendants().filter(d => d.depth === 2);
     const depthTwoCount = depthTwoNodes.length;
+    root.outerRings = { count: 1, spacing: 0 };
+    const depthOneNodes = root.children || [];
+
+    // Each branch gets a sector sized by its number of children
+    const sectors = allocateBranchSectors(
+        depthOneNodes.map(node => (node.children ? node.children.length : 0)),
+        depthOneNodes.length > 1 ? sectorGap * Math.PI / 180 : 0,
+        constants.SECTORS.MIN_ANGLE * Math.PI / 180
+    );
+    depthOneNodes.forEach((node, i) => {
+        node.sector = sectors[i];
+        node.x = (sectors[i].start + sectors[i].end) / 2;
+        if (node.children && node.children.length > 0) {
+            node.y = Math.max(radius * 0.8, constants.MIN_RADIUS * 0.8); // Ensure depth one nodes are properly positioned
+
+            // Children spread evenly across their parent's sector
+            const step = (sectors[i].end - sectors[i].start) / node.children.length;
+            node.children.forEach((child, j) => {
+                child.x = sectors[i].start + (j + 0.5) * step;
+            });
+        }
+    });
+
     if (depthTwoCount > 0) {
-        const depthTwoAngleStep = (2 * Math.PI) / depthTwoCount;
+        const baseRadius = Math.max(radius + constants.DEPTH_TWO_RADIUS, constants.MIN_RADIUS + constants.DEPTH_TWO_RADIUS);
+
+        // Neighbours alternate between rings when one ring cannot hold them all
+        root.outerRings = {
+            count: getOuterRingCount(depthTwoNodes, baseRadius, leafSpacing, labelSizes, constants),
+            spacing: Math.max(constants.OUTER_RINGS.SPACING, leafSpacing)
+        };
+
         depthTwoNodes.forEach((node, i) => {
-            node.x = i * depthTwoAngleStep;
-            node.y = Math.max(radius + CONSTANTS.DEPTH_TWO_RADIUS, CONSTANTS.MIN_RADIUS + CONSTANTS.DEPTH_TWO_RADIUS);
+            node.ringOffset = (i % root.outerRings.count) * root.outerRings.spacing;
+            node.y = baseRadius + node.ringOffset;
         });
     }
 
-    const depthOneNodes = root.children || [];
-    depthOneNodes.forEach(node => {
-        if (node.children && node.children.length > 0) {
-            const childAngles = node.children.map(child => child.x);
-            const minAngle = Math.min(...childAngles);
-            const maxAngle = Math.max(...childAngles);
-            
-            let avgAngle;
-            if (maxAngle - minAngle > Math.PI) {
-                avgAngle = (minAngle + maxAngle + 2 * Math.PI) / 2 % (2 * Math.PI);
-            } else {
-                avgAngle = (minAngle + maxAngle) / 2;
-            }
-            
-            node.x = avgAngle;
-            node.y = Math.max(radius * 0.8, CONSTANTS.MIN_RADIUS * 0.8); // Ensure depth one nodes are properly positioned
-        }
+    // Angles are left unwrapped so ring order survives any amount of rotation
+    root.each(node => {
+        node.layoutX = node.x;
+        node.x += rotation;
     });
 
     return root;
 }
 
-function createLinkGenerator(radius) {
+/**
+ * Split the circle between branches in proportion to their weights, with a
+ * gap after each sector. Sectors that would come out smaller than minAngle
+ * are raised to it and the rest share what is left.
+ * @param {number[]} weights - Child count of each branch, in ring order
+ * @param {number} gap - Radians left empty after each sector
+ * @param {number} minAngle - Smallest sector in radians
+ * @returns {{start: number, end: number}[]} Sectors clockwise from the top
+ */
+function allocateBranchSectors(weights, gap, minAngle) {
+    const available = 2 * Math.PI - gap * weights.length;
+    const shares = weights.map(weight => Math.max(weight, 1));
+
+    // Not enough room for every minimum; fall back to equal sectors
+    let angles = shares.map(() => available / shares.length);
+    if (minAngle * shares.length < available) {
+        const raised = new Set();
+        let changed = true;
+        while (changed) {
+            changed = false;
+            const remaining = available - raised.size * minAngle;
+            const total = d3.sum(shares.filter((share, i) => !raised.has(i)));
+            angles = shares.map((share, i) => (raised.has(i) ? minAngle : remaining * share / total));
+            angles.forEach((angle, i) => {
+                if (!raised.has(i) && angle < minAngle) {
+                    raised.add(i);
+                    changed = true;
+                }
+            });
+        }
+    }
+
+    let start = gap / 2;
+    return angles.map(angle => {
+        const sector = { start, end: start + angle };
+        start += angle + gap;
+        return sector;
+    });
+}
+
+/**
+ * How many staggered rings the outer nodes need so that nodes sharing a ring
+ * are at least a label, or a touch target, apart
+ * @param {d3.HierarchyNode[]} leaves - Depth-2 nodes in ring order
+ * @param {number} indicatorRadius - Radius of the innermost outer ring
+ * @param {number} leafSpacing - Minimum arc per node, e.g. a touch target
+ * @param {Map} [labelSizes] - Measured label sizes by node id
+ * @param {Object} constants
+ * @returns {number}
+ */
+function getOuterRingCount(leaves, indicatorRadius, leafSpacing, labelSizes, constants = CONSTANTS) {
+    const labelRadius = indicatorRadius + constants.TEXT_LAYOUT.BASE_SPACING;
+
+    // A label's extent along the ring varies from its width at the top and
+    // bottom to its height at the sides; this is its average around the circle
+    const footprints = leaves.map(d => {
+        const size = (labelSizes && labelSizes.get(d.data.id)) || estimateOuterLabel(d.data.name, constants);
+        return (2 / Math.PI) * (size.width + size.height) + constants.TEXT_LAYOUT.LABEL_GAP;
+    });
+    const perLeaf = Math.max(leafSpacing, d3.mean(footprints));
+    const needed = Math.ceil(leaves.length * perLeaf / (2 * Math.PI * labelRadius));
+
+    return Math.max(1, Math.min(constants.OUTER_RINGS.MAX_COUNT, needed));
+}
+
+/**
+ * Rough label size from its text, for layouts computed before the labels
+ * have been rendered and measured
+ * @param {string} name
+ * @param {Object} constants
+ * @returns {{width: number, height: number}}
+ */
+function estimateOuterLabel(name, constants = CONSTANTS) {
+    const { WIDTH, BASE_HEIGHT, PADDING, FONT_SIZES } = constants.TEXT_LAYOUT;
+    const layout = getTextLayout(name, constants);
+    const longestLine = layout.type === 'single'
+        ? layout.text.length
+        : Math.max(layout.firstLine.length, layout.secondLine.length);
+    // Average glyph width is a little over half the font size
+    const width = longestLine * FONT_SIZES.NORMAL * 0.55 + 2 * PADDING;
+
+    return {
+        width: Math.min(WIDTH, width),
+        height: layout.type === 'single' ? BASE_HEIGHT / 2 : BASE_HEIGHT
+    };
+}
+
+/**
+ * Distance from the centre to an outer node's indicator, including its
+ * stagger onto an outer ring
+ * @param {Object} d - Depth-2 hierarchy node
+ * @param {number} radius
+ * @param {Object} constants
+ * @returns {number}
+ */
+function getOuterRadius(d, radius, constants = CONSTANTS) {
+    return radius + constants.DEPTH_TWO_RADIUS + (d.ringOffset || 0);
+}
+
+/**
+ * Outline each branch's sector so its children read as a group: a thin arc
+ * just inside the outer ring, or a faint wedge behind the whole branch.
+ * Sectors are drawn unrotated; the caller rotates the returned group.
+ * @param {d3.Selection} group - The g.branch-sectors layer
+ * @param {d3.HierarchyNode} root - Output of processData
+ * @param {number} radius
+ * @param {Object} constants
+ * @param {string} style - 'arc', 'wedge' or 'none'
+ * @param {d3.Transition} [transition] - Animates sectors that already exist
+ * @returns {d3.Selection} The g.branch-sectors layer
+ */
+function createBranchSectors(group, root, radius, constants = CONSTANTS, style = 'none', transition = null) {
+    const outlined = style === 'arc' || style === 'wedge';
+    const outerRadius = radius + constants.DEPTH_TWO_RADIUS;
+    const arc = d3.arc()
+        .innerRadius(style === 'arc' ? outerRadius - 3 : 0)
+        .outerRadius(style === 'arc' ? outerRadius + 3 : outerRadius)
+        .cornerRadius(style === 'arc' ? 3 : 0)
+        .startAngle(d => d.sector.start)
+        .endAngle(d => d.sector.end);
+
+    const sectors = group.selectAll("path.branch-sector")
+        .data(outlined ? (root.children || []).filter(d => d.sector) : [], d => d.data.id)
+        .join(
+            enter => enter.append("path").attr("d", arc).attr("opacity", 0),
+            update => update,
+            exit => exit.call(fadeOut, transition)
+        )
+        .attr("class", d => `branch-sector branch-sector-${style}`);
+
+    animate(sectors, transition)
+        .attr("d", arc)
+        .attr("opacity", 1);
+
+    return group;
+}
+
+/**
+ * Guide circles for the outer ring and any staggered rings beyond it
+ * @param {d3.Selection} group - The g.outer-rings layer
+ * @param {d3.HierarchyNode} root
+ * @param {number} radius
+ * @param {Object} constants
+ * @param {d3.Transition} [transition]
+ * @returns {d3.Selection}
+ */
+function createOuterRings(group, root, radius, constants = CONSTANTS, transition = null) {
+    const rings = group.selectAll("circle")
+        .data(d3.range(root.outerRings.count))
+        .join(
+            enter => enter.append("circle")
+                .attr("r", radius + constants.DEPTH_TWO_RADIUS)
+                .attr("fill", "none")
+                .attr("stroke", getCSSVariable('--border-default')),
+            update => update,
+            exit => exit.call(fadeOut, transition)
+        );
+
+    animate(rings, transition)
+        .attr("r", ring => radius + constants.DEPTH_TWO_RADIUS + ring * root.outerRings.spacing);
+
+    return rings;
+}
+
+// Layers inside the zoom container, bottom to top
+const ZOOM_LAYERS = ['rotation-layer', 'outer-rings', 'branch-sectors', 'links', 'nodes', 'outer-group'];
+
+/**
+ * The persistent group for one of ZOOM_LAYERS, created on first use
+ * @param {d3.Selection} container - Zoom container
+ * @param {string} name
+ * @returns {d3.Selection}
+ */
+function getLayer(container, name) {
+    const layer = container.select(`:scope > g.${name}`);
+    return layer.empty() ? container.append("g").attr("class", name) : layer;
+}
+
+/**
+ * Continue a selection as part of a shared transition, or change it
+ * immediately when there is none
+ * @param {d3.Selection} selection
+ * @param {d3.Transition} [transition]
+ * @returns {d3.Selection|d3.Transition}
+ */
+function animate(selection, transition) {
+    return transition ? selection.transition(transition) : selection;
+}
+
+/**
+ * Exit handler for keyed joins: fade out, then remove
+ * @param {d3.Selection} exit
+ * @param {d3.Transition} [transition]
+ */
+function fadeOut(exit, transition) {
+    if (!transition) {
+        exit.remove();
+        return;
+    }
+    exit.classed("exiting", true)
+        .call(leaving => leaving.selectAll("[tabindex]").attr("tabindex", "-1"))
+        .transition(transition)
+        .attr("opacity", 0)
+        .remove();
+}
+
+function createLinkGenerator(radius, constants = CONSTANTS) {
     return function(d) {
         if (d.source.depth === 0) {
             const start = [0, 0];
@@ -1651,7 +4939,7 @@ function createLinkGenerator(radius) {
             const radialLink = d3.linkRadial()
                 .angle(d => d.x)
                 .radius(d => {
-                    if (d.depth === 2) return radius + CONSTANTS.DEPTH_TWO_RADIUS;
+                    if (d.depth === 2) return getOuterRadius(d, radius, constants);
                     return d.y;
                 });
             return radialLink(d);
@@ -1659,46 +4947,86 @@ function createLinkGenerator(radius) {
     };
 }
 
-// Example of consolidated createLinks function
-function createLinks(svg, root, linkGenerator, isUpdate = false) {
-    return svg.append("g")
-        .selectAll("path")
-        .data(root.links())
-        .join("path")
-        .attr("class", d => `link depth-${d.source.depth}-${d.target.depth}`)
-        .attr("d", linkGenerator)
-        .style("stroke", getCSSVariable('--link-inactive'))
-        .style("stroke-width", isUpdate ? 1.5 : getCSSVariable('--link-width'))
-        .style("fill", "none")
-        .style("opacity", d => (d.source.depth === 0) ? 1 : 0);
+/**
+ * Join the links onto the links layer, keyed by the node each one leads to
+ * @param {d3.Selection} group - The g.links layer
+ * @param {d3.HierarchyNode} root
+ * @param {Function} linkGenerator - From createLinkGenerator
+ * @param {d3.Transition} [transition] - Moves existing links to their new shape
+ * @returns {d3.Selection} The links, without any that are leaving
+ */
+function createLinks(group, root, linkGenerator, transition = null) {
+    const link = group.selectAll("path.link")
+        .data(root.links(), d => d.target.data.id)
+        .join(
+            enter => enter.append("path")
+                .attr("d", linkGenerator)
+                .attr("opacity", 0)
+                .style("stroke", getCSSVariable('--link-inactive'))
+                .style("stroke-width", getCSSVariable('--link-width'))
+                .style("fill", "none")
+                .style("opacity", d => (d.source.depth === 0) ? 1 : 0),
+            update => update,
+            exit => exit.call(fadeOut, transition)
+        )
+        .attr("class", d => `link depth-${d.source.depth}-${d.target.depth}`);
+
+    animate(link, transition)
+        .attr("d", linkGenerator)
+        .attr("opacity", 1);
+
+    return link;
 }
 
 
 
-function createNodes(svg, root) {
-    const node = svg.append("g")
-        .selectAll("g")
-        .data(root.descendants().filter(d => d.depth < 2))
-        .join("g")
+/**
+ * Join the centre and depth-1 nodes onto the nodes layer, keyed by id.
+ * New nodes start at their final position and fade in; positions of
+ * existing nodes are left to positionNodes.
+ * @param {d3.Selection} group - The g.nodes layer
+ * @param {d3.HierarchyNode} root
+ * @param {Object} constants
+ * @param {d3.Transition} [transition]
+ * @returns {d3.Selection} The nodes, without any that are leaving
+ */
+function createNodes(group, root, constants = CONSTANTS, transition = null) {
+    const node = group.selectAll("g.node")
+        .data(root.descendants().filter(d => d.depth < 2), d => d.data.id)
+        .join(
+            enter => {
+                const entering = enter.append("g")
+                    .attr("opacity", 0);
+                positionNodes(entering, root);
+                entering.append("foreignObject")
+                    .append("xhtml:div");
+                return entering;
+            },
+            update => update,
+            exit => exit.call(fadeOut, transition)
+        )
         .attr("class", d => `node depth-${d.depth}-node`);
 
-    // Create foreignObjects with proper dimensions
-    const foreignObjects = node.append("foreignObject")
+    animate(node, transition).attr("opacity", 1);
+
+    // A node can change depth when the data or the focus changes; select()
+    // also hands the new datum down to the children
+    const foreignObjects = node.select("foreignObject")
         .attr("class", d => `node-foreignObject ${d.depth === 0 ? 'central-node' : ''}`);
 
     // Create content divs with proper styling
-    const contentDivs = foreignObjects.append("xhtml:div")
+    const contentDivs = foreignObjects.select("div")
         .attr("class", d => `node-content ${d.depth === 0 ? 'central' : ''}`)
         .style("display", "flex")
         .style("align-items", "center")
         .style("justify-content", "center")
         .style("text-align", "center")
-        .style("padding", `${CONSTANTS.NODE_SIZES.DEFAULT.PADDING}px`)
+        .style("padding", `${constants.NODE_SIZES.DEFAULT.PADDING}px`)
         .style("box-sizing", "border-box")
         .style("font-size", d => {
-            if (d.depth === 0) return `${CONSTANTS.TEXT_SIZES.LARGE.CENTER}px`;
-            if (d.depth === 1) return `${CONSTANTS.TEXT_SIZES.LARGE.DEPTH_ONE}px`;
-            return `${CONSTANTS.TEXT_SIZES.LARGE.DEPTH_TWO}px`;
+            if (d.depth === 0) return `${constants.TEXT_SIZES.LARGE.CENTER}px`;
+            if (d.depth === 1) return `${constants.TEXT_SIZES.LARGE.DEPTH_ONE}px`;
+            return `${constants.TEXT_SIZES.LARGE.DEPTH_TWO}px`;
         })
         .text(d => d.data.name);
 
@@ -1728,139 +5056,60 @@ function createNodes(svg, root) {
 }
 
 
-function createOuterElements(svg, root, radius) {
-    // Remove existing outer groups first
-    svg.selectAll("g.outer-group").remove();
-    
-    const outerGroup = svg.append("g").attr("class", "outer-group");
+function createOuterElements(outerGroup, root, radius, constants = CONSTANTS, transition = null) {
     const depthTwoNodes = root.descendants().filter(d => d.depth === 2);
     
-    const baseTextHeight = CONSTANTS.TEXT_LAYOUT.BASE_HEIGHT;
-    const textWidth = CONSTANTS.TEXT_LAYOUT.WIDTH;
-    const textPadding = CONSTANTS.TEXT_LAYOUT.PADDING;
-    const baseSpacing = CONSTANTS.TEXT_LAYOUT.BASE_SPACING;
-    const sideSpacingBoost = CONSTANTS.TEXT_LAYOUT.SIDE_SPACING_BOOST;
-    const minTextSpacing = CONSTANTS.TEXT_LAYOUT.MIN_SPACING;
+    const baseTextHeight = constants.TEXT_LAYOUT.BASE_HEIGHT;
+    const textWidth = constants.TEXT_LAYOUT.WIDTH;
+    const textPadding = constants.TEXT_LAYOUT.PADDING;
+    const minTextSpacing = constants.TEXT_LAYOUT.MIN_SPACING;
     
     // Get base text size based on screen width
     const getBaseTextSize = () => {
         const width = window.innerWidth;
-        if (width < CONSTANTS.BREAKPOINTS.SMALL) {
-            return CONSTANTS.TEXT_SIZES.SMALL.DEPTH_TWO;
-        } else if (width < CONSTANTS.BREAKPOINTS.MEDIUM) {
-            return CONSTANTS.TEXT_SIZES.MEDIUM.DEPTH_TWO;
+        if (width < constants.BREAKPOINTS.SMALL) {
+            return constants.TEXT_SIZES.SMALL.DEPTH_TWO;
+        } else if (width < constants.BREAKPOINTS.MEDIUM) {
+            return constants.TEXT_SIZES.MEDIUM.DEPTH_TWO;
         }
-        return CONSTANTS.TEXT_SIZES.LARGE.DEPTH_TWO;
+        return constants.TEXT_SIZES.LARGE.DEPTH_TWO;
     };
 
     // Get adjusted text size based on length and base size
     const getAdjustedTextSize = (text, isMultiline = false) => {
         const baseSize = getBaseTextSize();
         if (isMultiline) {
-            return Math.min(baseSize, CONSTANTS.TEXT_LAYOUT.FONT_SIZES.SMALL);
+            return Math.min(baseSize, constants.TEXT_LAYOUT.FONT_SIZES.SMALL);
         }
-        return text.length > CONSTANTS.TEXT_LAYOUT.LONG_TEXT_THRESHOLD ? 
-            Math.min(baseSize, CONSTANTS.TEXT_LAYOUT.FONT_SIZES.SMALL) : 
+        return text.length > constants.TEXT_LAYOUT.LONG_TEXT_THRESHOLD ? 
+            Math.min(baseSize, constants.TEXT_LAYOUT.FONT_SIZES.SMALL) : 
             baseSize;
     };
 
-    const angleStep = (2 * Math.PI) / depthTwoNodes.length;
-
-    // Helper function to determine text layout strategy (unchanged)
-    function getTextLayout(text) {
-        const words = text.split(' ');
-        const totalLength = text.length;
-        const wordCount = words.length;
-
-        if (wordCount === 1) {
-            return {
-                type: 'single',
-                text: text
-            };
-        }
-
-        if (totalLength < CONSTANTS.TEXT_LAYOUT.LONG_TEXT_THRESHOLD && wordCount <= 2) {
-            return {
-                type: 'single',
-                text: text
-            };
-        }
-
-        let midpoint = Math.ceil(wordCount / 2);
-        const firstHalf = words.slice(0, midpoint).join(' ');
-        const secondHalf = words.slice(midpoint).join(' ');
-        
-        if (firstHalf.length > secondHalf.length * 1.5) {
-            midpoint -= 1;
-        }
-        
-        return {
-            type: 'double',
-            firstLine: words.slice(0, midpoint).join(' '),
-            secondLine: words.slice(midpoint).join(' ')
-        };
-    }
-
-    // Calculate text position (unchanged)
-    function calculateTextPosition(angle, indicatorRadius, textWidth, baseTextHeight, layout) {
-        let normalizedAngle = angle;
-        while (normalizedAngle > Math.PI) normalizedAngle -= 2 * Math.PI;
-        while (normalizedAngle < -Math.PI) normalizedAngle += 2 * Math.PI;
-        
-        const sideProximity = Math.abs(Math.cos(angle));
-        const dynamicSpacing = baseSpacing + (sideSpacingBoost * Math.pow(sideProximity, 1.5));    
-        
-        const textRadius = indicatorRadius + dynamicSpacing;
-        let textX = textRadius * Math.cos(angle);
-        let textY = textRadius * Math.sin(angle);
-        
-        textX -= textWidth/2;
-        textY -= layout.type === 'single' ? baseTextHeight/4 : baseTextHeight/2;
-        
-        return { x: textX, y: textY };
-    }
-
-    // Calculate initial positions (unchanged)
-    const textPositions = [];
-    depthTwoNodes.forEach((node, i) => {
-        const angle = i * angleStep - Math.PI / 2;
-        const indicatorRadius = radius + CONSTANTS.DEPTH_TWO_RADIUS;
-        const textLayout = getTextLayout(node.data.name);
-        
-        const position = calculateTextPosition(
-            angle,
-            indicatorRadius,
-            textWidth,
-            baseTextHeight,
-            textLayout
-        );
-        
-        textPositions.push({
-            node,
-            x: position.x,
-            y: position.y,
-            angle,
-            height: textLayout.type === 'single' ? baseTextHeight/2 : baseTextHeight
-        });
-    });
-
     // Create and position indicators (unchanged)
     const indicatorGroups = outerGroup.selectAll("g.indicator-group")
         .data(depthTwoNodes, d => d.data.id)
         .join(
             enter => {
                 const group = enter.append("g")
-                    .attr("class", "indicator-group");
+                    .attr("class", "indicator-group")
+                    .attr("transform", d => getIndicatorTransform(d, radius, constants))
+                    .attr("opacity", 0);
+
+                // Drawn first so the indicator covers its end
+                group.append("line")
+                    .attr("class", "label-leader")
+                    .style("display", "none");
                 
                 group.append("circle")
                     .attr("class", "outer-indicator")
-                    .attr("r", CONSTANTS.INDICATORS.INNER_RADIUS)
+                    .attr("r", constants.INDICATORS.INNER_RADIUS)
                     .attr("cx", 0)
                     .attr("cy", 0);
                 
                 group.append("circle")
                     .attr("class", "indicator-outline")
-                    .attr("r", CONSTANTS.INDICATORS.OUTER_RADIUS)
+                    .attr("r", constants.INDICATORS.OUTER_RADIUS)
                     .attr("cx", 0)
                     .attr("cy", 0)
                     .style("fill", "none")
@@ -1869,8 +5118,9 @@ function createOuterElements(svg, root, radius) {
                 return group;
             },
             update => update,
-            exit => exit.remove()
+            exit => exit.call(fadeOut, transition)
         );
+    animate(indicatorGroups, transition).attr("opacity", 1);
         
         // Update hover/active states if needed
         indicatorGroups.on('mouseover', function() {
@@ -1878,40 +5128,39 @@ function createOuterElements(svg, root, radius) {
                 .transition()
                 .duration(200)
                 .attr('transform', function(d) {
-                    const scale = CONSTANTS.INDICATORS.ACTIVE_SCALE;
+                    const scale = constants.INDICATORS.ACTIVE_SCALE;
                     return `${d3.select(this).attr('transform')} scale(${scale})`;
                 });
         });
 
-    // Position indicator groups (unchanged)
-    depthTwoNodes.forEach((node, i) => {
-        const angle = i * angleStep - Math.PI / 2;
-        const indicatorRadius = radius + CONSTANTS.DEPTH_TWO_RADIUS;
-        const x = indicatorRadius * Math.cos(angle);
-        const y = indicatorRadius * Math.sin(angle);
-        
-        indicatorGroups.filter(d => d === node)
-            .attr("transform", `translate(${x},${y})`);
-    });
-
-    // Create and position text elements with updated text size logic
+    // Create text elements with updated text size logic
     const outerTexts = outerGroup.selectAll("foreignObject.outer-text-container")
         .data(depthTwoNodes, d => d.data.id)
-        .join("foreignObject")
-        .attr("class", "outer-text-container");
+        .join(
+            enter => enter.append("foreignObject")
+                .attr("class", "outer-text-container")
+                .attr("opacity", 0)
+                .each(function(d) {
+                    // Start where the label would sit before relaxation
+                    const layout = getTextLayout(d.data.name, constants);
+                    const position = calculateTextPosition(d.x - Math.PI / 2, getOuterRadius(d, radius, constants), layout, constants);
+                    d3.select(this).attr("x", position.x).attr("y", position.y);
+                }),
+            update => update,
+            exit => exit.call(fadeOut, transition)
+        );
+    animate(outerTexts, transition).attr("opacity", 1);
 
-    textPositions.forEach(position => {
-        const textLayout = getTextLayout(position.node.data.name);
+    depthTwoNodes.forEach(node => {
+        const textLayout = getTextLayout(node.data.name, constants);
         
-        outerTexts.filter(d => d === position.node)
+        outerTexts.filter(d => d === node)
             .attr("width", textWidth)
             .attr("height", baseTextHeight)
-            .attr("x", position.x)
-            .attr("y", position.y)
             .each(function() {
                 const container = d3.select(this);
                 container.selectAll("div.outer-text")
-                    .data([position.node])
+                    .data([node])
                     .join("xhtml:div")
                     .attr("class", "outer-text")
                     .style("width", textWidth + "px")
@@ -1926,7 +5175,7 @@ function createOuterElements(svg, root, radius) {
                     .style("box-sizing", "border-box")
                     .style("overflow", "hidden")
                     .html(d => {
-                        const layout = getTextLayout(d.data.name);
+                        const layout = getTextLayout(d.data.name, constants);
                         if (layout.type === 'single') {
                             const fontSize = getAdjustedTextSize(layout.text);
                             return `<div class="line-clamp-1" style="font-size: ${fontSize}px">
@@ -1947,20 +5196,270 @@ function createOuterElements(svg, root, radius) {
             });
     });
 
+    // Measure once; relaxation reuses the sizes on every reposition
+    outerTexts.each(function(d) {
+        d.labelSize = measureOuterLabel(this, d, constants);
+    });
+
+    // Place indicators and labels around the ring
+    positionOuterElements(outerGroup, radius, constants, transition);
+
     return { 
-        outerIndicators: indicatorGroups.selectAll(".outer-indicator"),
+        // select() rather than selectAll() so the indicators get the new data
+        outerIndicators: indicatorGroups.select(".outer-indicator"),
         outerTexts
     };
 }
 
-function updateNodeSizes(node) {
+// Helper function to determine text layout strategy
+function getTextLayout(text, constants = CONSTANTS) {
+    const words = text.split(' ');
+    const totalLength = text.length;
+    const wordCount = words.length;
+
+    if (wordCount === 1) {
+        return {
+            type: 'single',
+            text: text
+        };
+    }
+
+    if (totalLength < constants.TEXT_LAYOUT.LONG_TEXT_THRESHOLD && wordCount <= 2) {
+        return {
+            type: 'single',
+            text: text
+        };
+    }
+
+    let midpoint = Math.ceil(wordCount / 2);
+    const firstHalf = words.slice(0, midpoint).join(' ');
+    const secondHalf = words.slice(midpoint).join(' ');
+    
+    if (firstHalf.length > secondHalf.length * 1.5) {
+        midpoint -= 1;
+    }
+    
+    return {
+        type: 'double',
+        firstLine: words.slice(0, midpoint).join(' '),
+        secondLine: words.slice(midpoint).join(' ')
+    };
+}
+
+// Calculate the top-left corner of an outer label for a given angle
+function calculateTextPosition(angle, indicatorRadius, layout, constants = CONSTANTS) {
+    const textWidth = constants.TEXT_LAYOUT.WIDTH;
+    const baseTextHeight = constants.TEXT_LAYOUT.BASE_HEIGHT;
+    
+    const sideProximity = Math.abs(Math.cos(angle));
+    const dynamicSpacing = constants.TEXT_LAYOUT.BASE_SPACING +
+        (constants.TEXT_LAYOUT.SIDE_SPACING_BOOST * Math.pow(sideProximity, 1.5));    
+    
+    const textRadius = indicatorRadius + dynamicSpacing;
+    let textX = textRadius * Math.cos(angle);
+    let textY = textRadius * Math.sin(angle);
+    
+    textX -= textWidth/2;
+    textY -= layout.type === 'single' ? baseTextHeight/4 : baseTextHeight/2;
+    
+    return { x: textX, y: textY, radius: textRadius };
+}
+
+/**
+ * Size of the visible text of an outer label, which is usually narrower
+ * than its fixed-width container
+ * @param {Element} container - The label's foreignObject
+ * @param {Object} d - Depth-2 hierarchy node
+ * @param {Object} constants
+ * @returns {{width: number, height: number}}
+ */
+function measureOuterLabel(container, d, constants = CONSTANTS) {
+    const { WIDTH, BASE_HEIGHT, PADDING } = constants.TEXT_LAYOUT;
+    const lines = Array.from(container.querySelectorAll('.line-clamp-1'));
+    const textWidth = Math.max(0, ...lines.map(measureTextWidth));
+
+    // Nothing is measurable before layout, e.g. inside a hidden tab
+    if (!textWidth) {
+        return estimateOuterLabel(d.data.name, constants);
+    }
+
+    const layout = getTextLayout(d.data.name, constants);
+    return {
+        width: Math.min(WIDTH, textWidth + 2 * PADDING),
+        height: layout.type === 'single' ? BASE_HEIGHT / 2 : BASE_HEIGHT
+    };
+}
+
+/**
+ * Width of the text inside a line, which stretches to its container. The
+ * range is measured on screen, so undo any zoom applied to the wheel.
+ * @param {Element} line
+ * @returns {number} Width in CSS pixels, 0 when not laid out
+ */
+function measureTextWidth(line) {
+    const lineBox = line.getBoundingClientRect();
+    if (!lineBox.width || !line.offsetWidth || typeof document.createRange !== 'function') {
+        return 0;
+    }
+    const range = document.createRange();
+    range.selectNodeContents(line);
+    if (typeof range.getBoundingClientRect !== 'function') {
+        return 0;
+    }
+    return range.getBoundingClientRect().width * (line.offsetWidth / lineBox.width);
+}
+
+/**
+ * Resolve overlaps between outer labels. Each label keeps its angle and is
+ * described by its distance from the centre and a sideways offset along the
+ * ring. Overlapping pairs slide apart along the ring (up to MAX_NUDGE) and
+ * the odd one of a neighbouring pair is pushed outwards, so crowded runs end
+ * up staggered. Labels are visited in ring order with no randomness, so the
+ * same input always gives the same layout.
+ * @param {Object[]} labels - {index, angle, radius, offset, width, height}; mutated
+ * @param {Object} constants
+ */
+function relaxOuterLabels(labels, constants = CONSTANTS) {
+    const { LABEL_GAP, MAX_NUDGE } = constants.TEXT_LAYOUT;
+    const clampNudge = value => Math.max(-MAX_NUDGE, Math.min(MAX_NUDGE, value));
+
+    for (let iteration = 0; iteration < constants.ANIMATION.FORCE_ITERATIONS; iteration++) {
+        let moved = false;
+
+        for (let i = 0; i < labels.length; i++) {
+            for (let j = i + 1; j < labels.length; j++) {
+                const a = labels[i];
+                const b = labels[j];
+                const [ax, ay] = getLabelCentre(a);
+                const [bx, by] = getLabelCentre(b);
+                const overlapX = (a.width + b.width) / 2 + LABEL_GAP - Math.abs(ax - bx);
+                const overlapY = (a.height + b.height) / 2 + LABEL_GAP - Math.abs(ay - by);
+                if (overlapX <= 0 || overlapY <= 0) {
+                    continue;
+                }
+
+                moved = true;
+                const push = Math.min(overlapX, overlapY) / 2;
+
+                const direction = Math.sign(wrapAngle(b.angle - a.angle)) || 1;
+                a.offset = clampNudge(a.offset - direction * push / 2);
+                b.offset = clampNudge(b.offset + direction * push / 2);
+
+                const outer = a.index % 2 !== b.index % 2
+                    ? (a.index % 2 ? a : b)
+                    : (a.radius >= b.radius ? a : b);
+                outer.radius += push;
+            }
+        }
+
+        if (!moved) {
+            break;
+        }
+    }
+}
+
+/**
+ * Centre of a relaxed label in zoom-container coordinates
+ * @param {Object} label - See relaxOuterLabels
+ * @returns {number[]}
+ */
+function getLabelCentre({ angle, radius, offset }) {
+    return [
+        radius * Math.cos(angle) - offset * Math.sin(angle),
+        radius * Math.sin(angle) + offset * Math.cos(angle)
+    ];
+}
+
+/**
+ * Transform that places an outer indicator on its ring
+ * @param {Object} d - Depth-2 hierarchy node
+ * @param {number} radius
+ * @param {Object} constants
+ * @returns {string}
+ */
+function getIndicatorTransform(d, radius, constants = CONSTANTS) {
+    // processData measures angles clockwise from the top
+    const [x, y] = project(d.x, getOuterRadius(d, radius, constants));
+    return `translate(${x},${y})`;
+}
+
+/**
+ * Move the outer indicators and labels to the angles currently stored on
+ * their nodes. Cheap enough to call on every frame of a rotation.
+ * @param {d3.Selection} outerGroup - The g.outer-group created by createOuterElements
+ * @param {number} radius
+ * @param {Object} constants
+ * @param {d3.Transition} [transition] - Animate the move instead of jumping
+ */
+function positionOuterElements(outerGroup, radius, constants = CONSTANTS, transition = null) {
+    // Elements fading out keep their last place
+    const indicatorGroups = outerGroup.selectAll("g.indicator-group:not(.exiting)");
+    const texts = outerGroup.selectAll("foreignObject.outer-text-container:not(.exiting)");
+
+    animate(indicatorGroups, transition)
+        .attr("transform", d => getIndicatorTransform(d, radius, constants));
+
+    const labels = texts.data().map((d, index) => {
+        const angle = d.x - Math.PI / 2;
+        const layout = getTextLayout(d.data.name, constants);
+        const position = calculateTextPosition(angle, getOuterRadius(d, radius, constants), layout, constants);
+        const size = d.labelSize || {
+            width: constants.TEXT_LAYOUT.WIDTH,
+            height: layout.type === 'single' ? constants.TEXT_LAYOUT.BASE_HEIGHT / 2 : constants.TEXT_LAYOUT.BASE_HEIGHT
+        };
+        return {
+            node: d,
+            index,
+            angle,
+            radius: position.radius,
+            offset: 0,
+            width: size.width,
+            height: size.height,
+            defaultRadius: position.radius
+        };
+    });
+
+    relaxOuterLabels(labels, constants);
+    const labelByNode = new Map(labels.map(label => [label.node, label]));
+
+    animate(texts, transition)
+        .attr("x", d => getLabelCentre(labelByNode.get(d))[0] - constants.TEXT_LAYOUT.WIDTH / 2)
+        .attr("y", d => getLabelCentre(labelByNode.get(d))[1] - labelByNode.get(d).height / 2);
+
+    // Connect labels that were moved noticeably back to their indicator
+    const isDisplaced = d => {
+        const label = labelByNode.get(d);
+        return Boolean(label) &&
+            Math.hypot(label.radius - label.defaultRadius, label.offset) >= constants.TEXT_LAYOUT.LEADER_THRESHOLD;
+    };
+    // End on the label edge nearest the indicator
+    const leaderEnd = d => {
+        const label = labelByNode.get(d);
+        const [x, y] = getLabelCentre(label);
+        const [ix, iy] = project(d.x, getOuterRadius(d, radius, constants));
+        return [
+            Math.max(x - label.width / 2, Math.min(x + label.width / 2, ix)) - ix,
+            Math.max(y - label.height / 2, Math.min(y + label.height / 2, iy)) - iy
+        ];
+    };
+
+    const leaders = indicatorGroups.select(".label-leader")
+        .style("display", d => (isDisplaced(d) ? null : "none"));
+    animate(leaders.filter(isDisplaced), transition)
+        .attr("x1", 0)
+        .attr("y1", 0)
+        .attr("x2", d => leaderEnd(d)[0])
+        .attr("y2", d => leaderEnd(d)[1]);
+}
+
+function updateNodeSizes(node, constants = CONSTANTS) {
     node.each(function(d) {
         const fo = d3.select(this).select("foreignObject");
         const div = fo.select("div");
         
         if (d.depth === 0) {
             // Central node
-            const size = CONSTANTS.NODE_SIZES.CENTRAL.WIDTH;
+            const size = constants.NODE_SIZES.CENTRAL.WIDTH;
             fo.attr("width", size)
               .attr("height", size)
               .attr("x", -size / 2)
@@ -1970,10 +5469,10 @@ function updateNodeSizes(node) {
                .style("height", `${size}px`);
         } else {
             // Depth one nodes
-            const width = Math.max(CONSTANTS.NODE_SIZES.DEFAULT.MIN_WIDTH, 
-                                 CONSTANTS.NODE_SIZES.DEFAULT.MIN_WIDTH + CONSTANTS.NODE_SIZES.DEFAULT.PADDING);
-            const height = Math.max(CONSTANTS.NODE_SIZES.DEFAULT.MIN_HEIGHT,
-                                  CONSTANTS.NODE_SIZES.DEFAULT.MIN_HEIGHT + CONSTANTS.NODE_SIZES.DEFAULT.PADDING);
+            const width = Math.max(constants.NODE_SIZES.DEFAULT.MIN_WIDTH, 
+                                 constants.NODE_SIZES.DEFAULT.MIN_WIDTH + constants.NODE_SIZES.DEFAULT.PADDING);
+            const height = Math.max(constants.NODE_SIZES.DEFAULT.MIN_HEIGHT,
+                                  constants.NODE_SIZES.DEFAULT.MIN_HEIGHT + constants.NODE_SIZES.DEFAULT.PADDING);
             
             fo.attr("width", width)
               .attr("height", height)
@@ -1998,12 +5497,29 @@ function positionNodes(node, root) {
     });
 }
 
-function setupEventListeners(node, outerIndicators, outerTexts, link, root) {
+// Arrow keys move around the current ring or between rings, Home returns to the centre
+const NAVIGATION_KEYS = {
+    ArrowLeft: 'previous',
+    ArrowRight: 'next',
+    ArrowUp: 'parent',
+    ArrowDown: 'child',
+    Home: 'root'
+};
+
+function setupEventListeners({ node, outerIndicators, outerTexts }, { onSelect, onNavigate, onHover }) {
     const elements = [node, outerIndicators, outerTexts];
     elements.forEach(el => {
+        // Pointing at or tabbing to a node is a hint it may be opened next
+        el.on("mouseenter.preload focusin.preload", (event, d) => onHover(event, d));
         el.on("click keydown", (event, d) => {
-            if (event.type === 'click' || event.key === 'Enter') {
-                handleNodeClick(event, d, node, outerIndicators, outerTexts, link, root);
+            if (event.type === 'click') {
+                onSelect(event, d);
+            } else if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                onSelect(event, d);
+            } else if (NAVIGATION_KEYS[event.key]) {
+                event.preventDefault();
+                onNavigate(event, d, NAVIGATION_KEYS[event.key]);
             }
         });
     });
@@ -2011,157 +5527,224 @@ function setupEventListeners(node, outerIndicators, outerTexts, link, root) {
 
 
 
-function handleNodeClick(event, d, node, outerIndicators, outerTexts, link, root) {
-    if (event) {
-        event.stopPropagation();
-    }
-    
-    // Get all indicator groups
-    const indicatorGroups = d3.selectAll(".indicator-group");
-    
-    // Update nodes and basic indicator classes
-    node.classed("active", n => n === d || n === d.parent || (d.depth === 2 && n === d.parent.parent));
-    
-    // Update indicators and their animations
-    indicatorGroups.each(function(n) {
-        const group = d3.select(this);
-        const isActive = n === d || (d.depth === 1 && n.parent === d) || (d.depth === 2 && n === d);
-        
-        // Only pulse if:
-        // 1. The node is active AND
-        // 2. Either:
-        //    - We're clicking a depth-2 node and this is that node
-        //    - We're clicking the root node (optional - disabled)
-        const shouldPulse = isActive && (
-            (d.depth === 2 && n === d)
-        );
-        
-        // Update main indicator
-        const indicator = group.select(".outer-indicator");
-        indicator
-            .classed("active", isActive)
-            .classed("pulse", shouldPulse);
-    });
+/**
+ * Keep the styles and the .elementor element of Elementor builder output
+ * @param {string} content
+ * @returns {string}
+ */
+function extractElementorContent(content) {
+    // A template's content is inert: nothing loads or runs while we look at it
+    const template = document.createElement('template');
+    template.innerHTML = content;
 
-    // Update node content styles
-    node.select(".node-content")
-        .style("background-color", n => {
-            if (n.depth === 0) return getCSSVariable('--node-bg-central');
-            if (n === d) return getCSSVariable('--node-bg-active');
-            if (n === d.parent || (d.depth === 2 && n === d.parent)) return getCSSVariable('--node-bg-active');
-            return getCSSVariable('--node-bg-default');
-        })
-        .style("color", n => (n === d || n === d.parent || n.depth === 0) ? getCSSVariable('--text-active') : getCSSVariable('--text-default'));
-
-    // Update links
-    link.transition()
-        .duration(CONSTANTS.TRANSITION_DURATION)
-        .ease(d3.easeElastic)
-        .style("stroke", l => isActivePath(l, d) ? getCSSVariable('--link-active') : getCSSVariable('--link-inactive'))
-        .style("stroke-width", l => isActivePath(l, d) ? getCSSVariable('--link-width-active') : getCSSVariable('--link-width'))
-        .attr("class", l => isSiblingPath(l, d) ? "link sibling" : "link")
-        .style("opacity", l => {
-            if (l.source.depth === 1 && l.target.depth === 2) {
-                if (d.depth === 0) return 1;
-                if (d.depth === 1) return l.source === d ? 1 : 0;
-                if (d.depth === 2) return l.source === d.parent ? 1 : 0;
-            }
-            return 1;
-        });
+    const styles = template.content.querySelectorAll('style');
+    const stylesHtml = Array.from(styles).map(style => style.outerHTML).join('');
+
+    const elementorContent = template.content.querySelector('.elementor');
+    const contentHtml = elementorContent ? elementorContent.outerHTML : content;
 
-    // Update outer texts
-    outerTexts.classed("active", n => n === d || (d.depth === 1 && n.parent === d) || (d.depth === 2 && n === d))
-              .classed("faded", n => {
-                  if (d.depth === 1) return n.parent !== d;
-                  if (d.depth === 2) return n !== d && n.parent !== d.parent;
-                  return false;
-              });
+    return stylesHtml + contentHtml;
+}
 
-    // Store the last selected node ID in window scope
-    window.lastSelectedNodeId = d.data.id;
-    
-    // Only fetch content if dilemma tab is active
-    if (isDilemmaTabActive()) {
-        fetchRelatedPostContent(d.data.id);
-    } else {
-        clearContentContainer();
+/**
+ * Content renderers. Each takes its settings and returns
+ * { render(data, navigation) => html, mount?(container, navigation) },
+ * where data is the elementor-content REST response and mount runs each time
+ * new HTML is put in the panel. Register more with CONTENT_RENDERERS.name = settings => renderer.
+ */
+export const CONTENT_RENDERERS = {
+    // Builder output with its styles, then Elementor's and Slick's scripts
+    elementor: () => ({
+        render: data => extractElementorContent(data.content || ''),
+        mount: container => initializeElementorAndSlick(container)
+    }),
+
+    // The post HTML as the server sent it
+    html: () => ({
+        render: data => data.content || ''
+    }),
+
+    // settings.template(data, navigation) returns an HTML string
+    template: ({ template }) => ({
+        render: (data, navigation) => template(data, navigation)
+    })
+};
+
+/**
+ * Turn a contentRenderer option into a renderer
+ * @param {string|Object|Function} [renderer] - Defaults to 'elementor'
+ * @returns {{render: Function, mount: (Function|undefined)}}
+ */
+function resolveContentRenderer(renderer) {
+    if (typeof renderer === 'function') {
+        return CONTENT_RENDERERS.template({ template: renderer });
+    }
+
+    const settings = typeof renderer === 'object' && renderer !== null
+        ? renderer
+        : { type: renderer || 'elementor' };
+    const factory = CONTENT_RENDERERS[settings.type];
+    if (!factory) {
+        throw new Error(`Unknown content renderer: ${settings.type}`);
     }
+    return factory(settings);
 }
 
+// What sanitizeHTML() keeps. <style> and style/class/data-* attributes stay
+// because Elementor layouts and widget settings depend on them; <iframe>
+// stays for video and map widgets, but only with an https: src.
+export const SANITIZE_ALLOWLIST = {
+    tags: [
+        'a', 'abbr', 'address', 'article', 'aside', 'b', 'bdi', 'bdo', 'blockquote', 'br',
+        'button', 'caption', 'cite', 'code', 'col', 'colgroup', 'dd', 'del', 'details',
+        'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3',
+        'h4', 'h5', 'h6', 'header', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'link', 'main',
+        'mark', 'nav', 'ol', 'p', 'picture', 'pre', 'q', 's', 'section', 'small', 'source',
+        'span', 'strong', 'style', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot',
+        'th', 'thead', 'time', 'tr', 'u', 'ul', 'video', 'audio', 'track', 'iframe',
+        'svg', 'g', 'path', 'circle', 'ellipse', 'line', 'polygon', 'polyline', 'rect',
+        'defs', 'lineargradient', 'radialgradient', 'stop', 'title', 'desc'
+    ],
+    // Removed together with everything inside them; other unknown tags are
+    // unwrapped so their text survives
+    dropWithContent: [
+        'script', 'noscript', 'template', 'frame', 'frameset', 'object', 'embed',
+        'applet', 'base', 'meta', 'form', 'input', 'select', 'textarea', 'math'
+    ],
+    attributes: [
+        'class', 'id', 'style', 'title', 'role', 'lang', 'dir', 'hidden', 'tabindex',
+        'href', 'target', 'rel', 'src', 'srcset', 'sizes', 'alt', 'width', 'height',
+        'loading', 'decoding', 'type', 'media', 'colspan', 'rowspan', 'scope', 'headers',
+        'datetime', 'cite', 'open', 'controls', 'poster', 'preload', 'muted', 'loop',
+        'playsinline', 'kind', 'srclang', 'label', 'start', 'reversed', 'value',
+        'viewbox', 'xmlns', 'd', 'fill', 'stroke', 'stroke-width', 'stroke-linecap',
+        'stroke-linejoin', 'fill-rule', 'clip-rule', 'cx', 'cy', 'r', 'rx', 'ry', 'x',
+        'y', 'x1', 'y1', 'x2', 'y2', 'points', 'transform', 'offset', 'stop-color',
+        'opacity', 'focusable', 'preserveaspectratio', 'allow', 'allowfullscreen',
+        'frameborder', 'referrerpolicy'
+    ],
+    attributePrefixes: ['data-', 'aria-'],
+    urlAttributes: ['href', 'src', 'srcset', 'poster', 'cite'],
+    protocols: ['http:', 'https:', 'mailto:', 'tel:'],
+    frameProtocols: ['https:'],
+    // Lazy-load placeholders; an image cannot run script
+    imageDataURLs: true
+};
 
-const contentCache = new Map();
-const cacheStats = { hits: 0, misses: 0 };
+const XHTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
 
-function fetchRelatedPostContent(postId) {
-    const contentContainer = document.getElementById('t2-content-container');
-    if (contentContainer) {
-        contentContainer.innerHTML = '<div class="t2-preloader">Loading...</div>';
+/**
+ * Clean HTML against an allowlist: scripts, event handler attributes and
+ * javascript: URLs are removed, unknown elements are unwrapped and links
+ * opening another tab get rel="noopener noreferrer"
+ * @param {string} html
+ * @param {Object} [allowlist] - Shaped like SANITIZE_ALLOWLIST
+ * @returns {string}
+ */
+export function sanitizeHTML(html, allowlist = SANITIZE_ALLOWLIST) {
+    const tags = new Set(allowlist.tags);
+    const dropped = new Set(allowlist.dropWithContent);
+    const attributes = new Set(allowlist.attributes);
+    const urlAttributes = new Set(allowlist.urlAttributes);
 
-        if (contentCache.has(postId)) {
-            cacheStats.hits++;
-            console.log(`Cache hit for post ID: ${postId}. Total hits: ${cacheStats.hits}`);
-            const cachedContent = contentCache.get(postId);
-            // Use requestAnimationFrame for smoother rendering
-            requestAnimationFrame(() => {
-                contentContainer.innerHTML = cachedContent.html;
-                initializeElementorAndSlick(contentContainer);
-            });
-            return Promise.resolve();
+    const isSafeURL = (value, protocols = allowlist.protocols) => {
+        try {
+            return protocols.includes(new URL(value.trim(), window.location.href).protocol);
+        } catch (error) {
+            return false;
         }
+    };
+    const isAllowedAttribute = (tag, name, value) => {
+        if (name.startsWith('on')) {
+            return false;
+        }
+        if (!attributes.has(name) && !allowlist.attributePrefixes.some(prefix => name.startsWith(prefix))) {
+            return false;
+        }
+        if (name === 'srcset') {
+            return value.split(',').every(candidate => isSafeURL(candidate.trim().split(/\s+/)[0]));
+        }
+        if (tag === 'iframe' && name === 'src') {
+            return isSafeURL(value, allowlist.frameProtocols || []);
+        }
+        if (tag === 'img' && name === 'src' && allowlist.imageDataURLs && /^\s*data:image\//i.test(value)) {
+            return true;
+        }
+        if (urlAttributes.has(name)) {
+            return isSafeURL(value);
+        }
+        return true;
+    };
 
-        cacheStats.misses++;
-        console.log(`Cache miss for post ID: ${postId}. Total misses: ${cacheStats.misses}`);
+    const clean = parent => {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.COMMENT_NODE) {
+                node.remove();
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                return;
+            }
 
-        return fetch(`/wp-json/my-custom-route/v1/elementor-content/${postId}`)
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error('Network response was not ok');
-                }
-                return response.json();
-            })
-            .then(data => {
-                console.log(`Caching content for post ID: ${postId}`);
-                const processedContent = processContent(data.content);
-                contentCache.set(postId, processedContent);
-                contentContainer.innerHTML = processedContent.html;
-                initializeElementorAndSlick(contentContainer);
-                console.log(`Current cache size: ${contentCache.size} items`);
-            })
-            .catch(error => {
-                console.error('Error fetching post content:', error);
-                contentContainer.innerHTML = '<p>Error loading content. Please try again.</p>';
-            });
-    }
-}
+            const tag = node.localName.toLowerCase();
+            // Inside <svg> a <style>'s children are parsed as elements, and
+            // serialising its text back out is not safe either
+            if (tag === 'style' && node.namespaceURI !== XHTML_NAMESPACE) {
+                node.remove();
+                return;
+            }
 
-function processContent(content) {
-    const tempContainer = document.createElement('div');
-    tempContainer.innerHTML = content;
+            // Stylesheet links only; preloads and the like could fetch anything
+            const isOtherLink = tag === 'link' && (node.getAttribute('rel') || '').trim().toLowerCase() !== 'stylesheet';
+            if (dropped.has(tag) || isOtherLink) {
+                node.remove();
+                return;
+            }
 
-    const styles = tempContainer.querySelectorAll('style');
-    const stylesHtml = Array.from(styles).map(style => style.outerHTML).join('');
+            Array.from(node.attributes).forEach(({ name, value }) => {
+                if (!isAllowedAttribute(tag, name.toLowerCase(), value)) {
+                    node.removeAttribute(name);
+                }
+            });
 
-    const elementorContent = tempContainer.querySelector('.elementor');
-    const contentHtml = elementorContent ? elementorContent.outerHTML : content;
+            // A page opened in another tab must not get a handle on this one
+            if (tag === 'a' && node.hasAttribute('target')) {
+                const rel = new Set((node.getAttribute('rel') || '').toLowerCase().split(/\s+/).filter(Boolean));
+                rel.add('noopener');
+                rel.add('noreferrer');
+                node.setAttribute('rel', [...rel].join(' '));
+            }
 
-    return {
-        html: stylesHtml + contentHtml,
-        styles: styles
+            // An HTML <style> holds only CSS text, so it is kept as is
+            if (tag !== 'style') {
+                clean(node);
+            }
+            if (!tags.has(tag)) {
+                node.replaceWith(...node.childNodes);
+            }
+        });
     };
+
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    clean(template.content);
+    return template.innerHTML;
 }
 
+// Elements whose Elementor handlers have run, so mounting twice does not double them
+const readyElements = new WeakSet();
+
 function initializeElementorAndSlick(container) {
-    // Check if Elementor frontend is available
-    if (window.elementorFrontend) {
+    // Elementor widgets need its frontend, which brings jQuery with it
+    if (window.elementorFrontend && window.jQuery) {
         // Run the ready trigger only for the new elements within the container
         jQuery(container).find('.elementor-element').each(function() {
             const $element = jQuery(this);
-            if (!$element.hasClass('elementor-element-edit-mode')) {
+            if (!readyElements.has(this) && !$element.hasClass('elementor-element-edit-mode')) {
+                readyElements.add(this);
                 elementorFrontend.elementsHandler.runReadyTrigger($element);
             }
         });
-    } else {
-        console.error('Elementor frontend not available');
     }
 
     // Initialize Slick carousel if present
@@ -2176,43 +5759,6 @@ function initializeElementorAndSlick(container) {
     }
 }
 
-function cleanupCache(maxSize = CONSTANTS.CACHE.MAX_SIZE) {
-    if (contentCache.size > maxSize) {
-        const entriesToRemove = contentCache.size - maxSize;
-        const entries = Array.from(contentCache.entries());
-        entries.sort((a, b) => a[1].lastAccessed - b[1].lastAccessed);
-        
-        for (let i = 0; i < entriesToRemove; i++) {
-            contentCache.delete(entries[i][0]);
-        }
-        
-        console.log(`Cleaned up cache. New size: ${contentCache.size}`);
-    }
-}
-
-function preloadCacheContent(postIds) {
-    postIds.forEach(postId => {
-        if (!contentCache.has(postId)) {
-            fetch(`/wp-json/my-custom-route/v1/elementor-content/${postId}`)
-                .then(response => {
-                    if (!response.ok) {
-                        throw new Error('Network response was not ok');
-                    }
-                    return response.json();
-                })
-                .then(data => {
-                    console.log(`Pre-loading content for post ID: ${postId}`);
-                    const processedContent = processContent(data.content);
-                    contentCache.set(postId, processedContent);
-                    console.log(`Current cache size: ${contentCache.size} items`);
-                })
-                .catch(error => {
-                    console.error(`Error pre-loading content for post ID: ${postId}`, error);
-                });
-        }
-    });
-}
-
 function getPostIdsToPreload(data) {
     const postIds = [];
     
@@ -2229,130 +5775,31 @@ function getPostIdsToPreload(data) {
     return postIds;
 }
 
-function isDilemmaTabActive() {
-    const dilemmaTab = document.querySelector('button#dilemma[role="tab"]');
-    console.log('Checking Dilemma Tab State:', {
-        element: dilemmaTab,
-        ariaSelected: dilemmaTab?.getAttribute('aria-selected'),
-        isActive: dilemmaTab && dilemmaTab.getAttribute('aria-selected') === 'true'
-    });
-    return dilemmaTab && dilemmaTab.getAttribute('aria-selected') === 'true';
-}
-
-
-jQuery(document).ready(function($) {
-    // Create a MutationObserver to watch for tab state changes
-    const tabObserver = new MutationObserver((mutations) => {
-        mutations.forEach((mutation) => {
-            if (mutation.type === 'attributes' && 
-                mutation.attributeName === 'aria-selected' &&
-                mutation.target.id === 'dilemma') {
-                    
-                if (mutation.target.getAttribute('aria-selected') === 'true') {
-                    if (window.lastSelectedNodeId) {
-                        fetchRelatedPostContent(window.lastSelectedNodeId);
-                    } else {
-                        loadRootNodeContent();
-                    }
-                } else {
-                    clearContentContainer();
-                }
-            }
-        });
-    });
-
-    // Configure the observer
-    const observerConfig = {
-        attributes: true,
-        attributeFilter: ['aria-selected']
-    };
-
-    // Start observing the dilemma tab
-    const dilemmaTab = document.querySelector('button#dilemma[role="tab"]');
-    if (dilemmaTab) {
-        console.log('Starting observation of dilemma tab');
-        tabObserver.observe(dilemmaTab, observerConfig);
-    } else {
-        console.log('Dilemma tab not found');
-    }
-
-    // Main initialization through AJAX
-    $.ajax({
-        url: circularNavData.ajaxurl,
-        type: 'POST',
-        data: {
-            action: 'fetch_hierarchical_posts',
-            post_type: circularNavData.post_type,
-            nonce: circularNavData.nonce
-        },
-        success: function(response) {
-            if (response.success) {
-                initializeCircularNavigation(response.data);
-                
-                // After initialization, schedule pre-loading
-                setTimeout(() => {
-                    const postIdsToPreload = getPostIdsToPreload(response.data);
-                    preloadCacheContent(postIdsToPreload);
-                }, CONSTANTS.CACHE.PRELOAD_DELAY);
-            } else {
-                console.error("Error in AJAX response:", response);
-            }
-        },
-        error: function(jqXHR, textStatus, errorThrown) {
-            console.error("AJAX error:", textStatus, errorThrown);
-        }
-    });
-});
-
-
-function loadRootNodeContent() {
-    // First check if the SVG exists
-    const svg = d3.select('#circular-nav-svg');
-    if (svg.empty()) {
-        console.log('SVG element not found');
-        return;
-    }
-
-    // Try to select the root node with proper error handling
-    const rootNode = svg.select('.depth-0-node');
-    if (rootNode.empty()) {
-        console.log('Root node not found');
-        return;
-    }
-
-    // Safely access the data
-    const rootData = rootNode.datum();
-    if (!rootData || !rootData.data || !rootData.data.id) {
-        console.log('Root node data not available');
-        return;
+/**
+ * @param {string|null} selector - Tab element; none counts as always open
+ * @returns {boolean} Whether the tab is open. A missing tab is closed.
+ */
+function isTabSelected(selector) {
+    if (!selector) {
+        return true;
     }
-
-    console.log('Loading root node content:', rootData.data.id);
-    fetchRelatedPostContent(rootData.data.id);
+    const tab = document.querySelector(selector);
+    return Boolean(tab) && tab.getAttribute('aria-selected') === 'true';
 }
 
-function clearContentContainer() {
-    const contentContainer = document.getElementById('t2-content-container');
-    if (contentContainer) {
-        contentContainer.innerHTML = '';
-        console.log('Content container cleared');
-    } else {
-        console.log('Content container not found');
+/**
+ * Default visibility source: watch the contentTab's aria-selected
+ * @param {CircularNavigation} navigation
+ * @param {Function} onChange
+ * @returns {Function} Stops watching
+ */
+function watchTabSelection(navigation, onChange) {
+    const tab = navigation.options.contentTab ? document.querySelector(navigation.options.contentTab) : null;
+    if (!tab) {
+        return () => {};
     }
-}
 
-// Single elementor/frontend/init handler
-jQuery(window).on('elementor/frontend/init', function() {
-    elementorFrontend.hooks.addAction('frontend/element_ready/tabs.default', function($scope) {
-        $scope.find('.elementor-tab-title').on('click', function() {
-            var tabId = jQuery(this).attr('aria-controls');
-            var $tabContent = jQuery('#' + tabId);
-            
-            if ($tabContent.find('#circular-nav-svg').length > 0) {
-                setTimeout(function() {
-                    initializeCircularNavigation(circularNavData);
-                }, 100);
-            }
-        });
-    });
-});
+    const observer = new MutationObserver(onChange);
+    observer.observe(tab, { attributes: true, attributeFilter: ['aria-selected'] });
+    return () => observer.disconnect();
+}
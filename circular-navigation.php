@@ -1,6 +1,7 @@
 class CircularNavigation {
     private $post_type;
     private $script_version;
+    private $instance_count = 0;
 
     public function __construct() {
         $this->post_type = 'dilemma-posts';
@@ -16,20 +17,45 @@ class CircularNavigation {
     }
 
     public function render_shortcode($atts) {
-        $atts = shortcode_atts(['post_type' => $this->post_type], $atts);
+        $atts = shortcode_atts([
+            'post_type' => $this->post_type,
+            'content_target' => '#t2-content-container',
+            // Tab that has to be open for content to show; empty always shows it
+            'content_tab' => 'button#dilemma[role="tab"]',
+            'load_content' => 'true',
+            // elementor or html; sanitize="false" trusts the post HTML as is
+            'content_renderer' => 'elementor',
+            'sanitize' => 'true',
+            'history_param' => '',
+            'search' => 'false',
+            'rotate' => 'true',
+            'reading_angle' => '0',
+            'rotate_to_focus' => 'false',
+            'focus_angle' => 'top',
+            'branch_sectors' => 'none',
+            'sector_gap' => '6',
+            // ajax, inline, url or rest; empty uses inline JSON when present, otherwise ajax
+            'source' => '',
+            'source_url' => '',
+            'rest_base' => ''
+        ], $atts);
         $this->enqueue_assets();
-        $this->localize_script_data($atts['post_type']);
         
-        return $this->get_svg_container();
+        return $this->get_svg_container($atts);
     }
 
+    // Script modules (WordPress 6.5+); the import map resolves 'd3' and 'circular-navigation'
     private function enqueue_assets() {
-        wp_enqueue_script('d3-script', 'https://d3js.org/d3.v7.min.js', [], null, true);
-        wp_enqueue_script('circular-nav-script', 
+        wp_register_script_module('d3', 'https://cdn.jsdelivr.net/npm/d3@7/+esm', [], null);
+        wp_register_script_module('circular-navigation', 
             get_stylesheet_directory_uri() . '/js/circular-navigation.js', 
-            ['d3-script', 'jquery'], 
-            $this->script_version, 
-            true
+            ['d3'], 
+            $this->script_version
+        );
+        wp_enqueue_script_module('circular-navigation-wp', 
+            get_stylesheet_directory_uri() . '/js/circular-navigation-wp.js', 
+            ['circular-navigation'], 
+            $this->script_version
         );
         wp_enqueue_style('circular-nav-style', 
             get_stylesheet_directory_uri() . '/css/circular-navigation.css', 
@@ -38,23 +64,74 @@ class CircularNavigation {
         );
     }
 
-    private function localize_script_data($post_type) {
-        wp_localize_script('circular-nav-script', 'circularNavData', [
-            'ajaxurl' => admin_url('admin-ajax.php'),
-            'post_type' => $post_type,
-            'nonce' => wp_create_nonce('circular_nav_nonce')
-        ]);
-    }
+    private function get_svg_container($atts) {
+        $this->instance_count++;
+        $svg_id = 'circular-nav-svg-' . $this->instance_count;
+        $history_attr = $atts['history_param'] !== '' 
+            ? ' data-history-param="' . esc_attr($atts['history_param']) . '"' 
+            : '';
+        $source_attrs = '';
+        foreach (['source' => 'source', 'source_url' => 'source-url'] as $att => $data_name) {
+            if ($atts[$att] !== '') {
+                $source_attrs .= ' data-' . $data_name . '="' . esc_attr($atts[$att]) . '"';
+            }
+        }
+
+        // Print the hierarchy into the page so the script can skip the AJAX request
+        $inline_data = '';
+        if ($atts['source'] === 'inline') {
+            $inline_data = '<script type="application/json" class="circular-navigation-data">' 
+                . wp_json_encode($this->get_hierarchical_posts($atts['post_type']), JSON_HEX_TAG | JSON_HEX_AMP) 
+                . '</script>';
+        }
 
-    private function get_svg_container() {
-        return '<div class="circular-navigation-container">
-            <svg id="circular-nav-svg" width="100%" height="100%" 
+        return '<div class="circular-navigation-container" 
+            data-post-type="' . esc_attr($atts['post_type']) . '" 
+            data-ajax-url="' . esc_url(admin_url('admin-ajax.php')) . '" 
+            data-nonce="' . esc_attr(wp_create_nonce('circular_nav_nonce')) . '" 
+            data-content-target="' . esc_attr($atts['content_target']) . '" 
+            data-content-url="' . esc_url(rest_url('my-custom-route/v1/elementor-content/')) . '" 
+            data-content-tab="' . esc_attr($atts['content_tab']) . '" 
+            data-load-content="' . esc_attr($atts['load_content']) . '" 
+            data-content-renderer="' . esc_attr($atts['content_renderer']) . '" 
+            data-sanitize="' . esc_attr($atts['sanitize']) . '" 
+            data-search="' . esc_attr($atts['search']) . '" 
+            data-rotate="' . esc_attr($atts['rotate']) . '" 
+            data-reading-angle="' . esc_attr($atts['reading_angle']) . '" 
+            data-rotate-to-focus="' . esc_attr($atts['rotate_to_focus']) . '" 
+            data-focus-angle="' . esc_attr($atts['focus_angle']) . '" 
+            data-branch-sectors="' . esc_attr($atts['branch_sectors']) . '" 
+            data-sector-gap="' . esc_attr($atts['sector_gap']) . '" 
+            data-rest-root="' . esc_url($this->get_rest_root($atts['post_type'])) . '" 
+            data-rest-base="' . esc_attr($this->get_rest_base($atts)) . '"' . $history_attr . $source_attrs . '>
+            ' . $inline_data . '
+            <svg id="' . esc_attr($svg_id) . '" class="circular-nav-svg" width="100%" height="100%" 
                 viewBox="-500 -400 1000 800" 
                 preserveAspectRatio="xMidYMid meet">
             </svg>
         </div>';
     }
 
+    // rest_url() copes with subdirectory installs and plain permalinks
+    private function get_rest_root($post_type) {
+        $post_type_object = get_post_type_object($post_type);
+        $namespace = $post_type_object && !empty($post_type_object->rest_namespace)
+            ? $post_type_object->rest_namespace
+            : 'wp/v2';
+        return rest_url($namespace . '/');
+    }
+
+    // A post type's REST route is its rest_base, which need not match its name
+    private function get_rest_base($atts) {
+        if ($atts['rest_base'] !== '') {
+            return $atts['rest_base'];
+        }
+        $post_type_object = get_post_type_object($atts['post_type']);
+        return $post_type_object && !empty($post_type_object->rest_base)
+            ? $post_type_object->rest_base
+            : $atts['post_type'];
+    }
+
     public function handle_fetch_post_content() {
         check_ajax_referer('circular_nav_nonce', 'nonce');
         
@@ -131,6 +208,16 @@ class CircularNavigation {
                     ]
                 ]
             ]);
+            register_rest_route('my-custom-route/v1', '/elementor-content/(?P<id>\d+)/version', [
+                'methods' => 'GET',
+                'callback' => [$this, 'get_elementor_content_version'],
+                'permission_callback' => '__return_true',
+                'args' => [
+                    'id' => [
+                        'validate_callback' => 'is_numeric'
+                    ]
+                ]
+            ]);
         });
     }
 
@@ -146,8 +233,25 @@ class CircularNavigation {
             ? (new \Elementor\Frontend())->get_builder_content_for_display($post_id, true)
             : apply_filters('the_content', $post->post_content);
 
+        // Title and link are for template renderers on the script side
         return [
             'content' => $content,
+            'version' => get_post_modified_time('U', true, $post_id),
+            'title' => get_the_title($post_id),
+            'link' => get_permalink($post_id)
+        ];
+    }
+
+    // Lets the script check a stored copy without downloading the content again
+    public function get_elementor_content_version($request) {
+        $post_id = intval($request['id']);
+        $post = get_post($post_id);
+
+        if (!$post) {
+            return new WP_Error('no_post', 'Post not found', ['status' => 404]);
+        }
+
+        return [
             'version' => get_post_modified_time('U', true, $post_id)
         ];
     }